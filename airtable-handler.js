@@ -1,10 +1,17 @@
-// Special handling for Airtable forms and tables
-(function() {
+// Special handling for Airtable forms and tables. Runs after the main content scripts,
+// so the site rules are available.
+(async function() {
   // Only run this script on Airtable domains
   if (!window.location.hostname.includes('airtable.com')) {
     return;
   }
   
+  // Nothing runs where the site's rule turns the extension off
+  const siteRule = await getSiteRule(window.location.hostname);
+  if (siteRule.mode === 'off') {
+    return;
+  }
+  
   console.log('Claude Form Assistant: Airtable handler active');
   
   // Inject specific styles for Airtable
@@ -160,7 +167,8 @@
         element.dispatchEvent(new Event('input', { bubbles: true }));
         element.dispatchEvent(new Event('change', { bubbles: true }));
       } else if (element.hasAttribute('contenteditable')) {
-        element.innerHTML = answer;
+        // Answers are plain text; setting them as HTML would let markup in them run in the page
+        element.textContent = answer;
         element.dispatchEvent(new Event('input', { bubbles: true }));
       }
     }
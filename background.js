@@ -1,20 +1,131 @@
-// Claude.ai API interaction endpoints
-const CLAUDE_API = {
-  BASE_URL: 'https://claude.ai',
-  ORGANIZATIONS: '/api/organizations',
-  CHAT_LIST: '/api/organizations/{orgId}/chat_conversations',
-  CHAT: '/api/organizations/{orgId}/chat_conversations/{chatId}?tree=True&rendering_mode=messages',
-  SEND_MESSAGE: '/api/organizations/{orgId}/chat_conversations/{chatId}/completion',
-  PROJECTS: '/api/organizations/{orgId}/projects'
-};
+// Model providers: each exposes ask(request, settings) and returns { answer, conversationId, chatUrl }
+importScripts(
+  'providers/errors.js',
+  'providers/event-stream.js',
+  'providers/transcripts.js',
+  'providers/claude-web.js',
+  'providers/anthropic-api.js',
+  'providers/openai-compatible.js',
+  'site-rules.js'
+);
 
-// Store organization ID after login
-let currentOrgId = null;
-let cachedProjects = null;
+const PROVIDERS = [claudeWebProvider, anthropicApiProvider, openAiCompatibleProvider];
+const DEFAULT_PROVIDER_ID = 'claude-web';
+
+// Requests that are still running, keyed by the request ID the sender chose, so they can be cancelled
+const activeRequests = new Map();
+
+// A request is aborted when Claude has sent nothing for this long, unless the sender sets its own timeout
+const REQUEST_TIMEOUT = 90000;
+
+// Context menu entries for rewriting selected text in editable fields
+const REWRITE_MENU_ITEMS = [
+  { id: 'rewrite', title: 'Rewrite with Claude' },
+  { id: 'shorten', title: 'Make shorter' },
+  { id: 'formal', title: 'Make more formal' },
+  { id: 'grammar', title: 'Fix grammar' }
+];
+const TRANSLATE_LANGUAGES = ['English', 'Spanish', 'French', 'German', 'Portuguese', 'Italian', 'Hindi', 'Japanese', 'Chinese'];
+
+// Content scripts are registered from here rather than in the manifest, so that they can leave
+// out the sites whose rule turns the extension off
+const CONTENT_SCRIPTS = [
+  {
+    id: 'form-assistant',
+    matches: ['<all_urls>'],
+    js: ['site-rules.js', 'prompt-templates.js', 'knowledge-profile.js', 'redaction.js', 'field-constraints.js', 'choice-fields.js', 'context-handler.js', 'field-panels.js', 'field-history.js', 'editor-adapters.js', 'ghost-text.js', 'content.js'],
+    css: ['styles.css']
+  },
+  {
+    id: 'airtable-handler',
+    matches: ['*://*.airtable.com/*'],
+    js: ['airtable-handler.js']
+  }
+];
+
+// Registrations run one at a time, so quick rule changes can't interleave
+let contentScriptRegistration = Promise.resolve();
 
 // Initialize extension
 chrome.runtime.onInstalled.addListener(() => {
   console.log('Claude Form Assistant installed');
+  createContextMenus();
+  registerContentScripts();
+});
+
+// Keep the content scripts away from sites as soon as a rule turns them off, including rules
+// synced from another browser
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.siteRules) {
+    registerContentScripts();
+  }
+});
+
+// Register the content scripts for every site apart from those that are turned off, or update
+// the sites they leave out if they are registered already. Pages that are already open keep
+// what they have until they are reloaded.
+function registerContentScripts() {
+  contentScriptRegistration = contentScriptRegistration.then(async () => {
+    const excludeMatches = getSiteExcludeMatches(await getSiteRules());
+    const ids = CONTENT_SCRIPTS.map(script => script.id);
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids });
+    
+    if (registered.length === ids.length) {
+      await chrome.scripting.updateContentScripts(CONTENT_SCRIPTS.map(script => ({ ...script, excludeMatches })));
+      return;
+    }
+    
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: registered.map(script => script.id) });
+    }
+    await chrome.scripting.registerContentScripts(CONTENT_SCRIPTS.map(script => ({ ...script, excludeMatches })));
+  }).catch(error => {
+    console.error('Error registering content scripts:', error);
+  });
+  return contentScriptRegistration;
+}
+
+// Forward context menu clicks to the frame the menu was opened in
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || !info.menuItemId.startsWith('claude-')) {
+    return;
+  }
+  
+  // Menu IDs look like "claude-shorten" or "claude-translate:Spanish"
+  const [command, language] = info.menuItemId.replace('claude-', '').split(':');
+  
+  getSiteRule(getSenderHostname({ tab })).then(rule => {
+    // Sites that are turned off have no content script listening
+    if (rule.mode === 'off') {
+      return;
+    }
+    
+    return chrome.tabs.sendMessage(tab.id, {
+      action: 'rewriteSelection',
+      command,
+      language: language === 'other' ? null : language
+    }, { frameId: info.frameId });
+  }).catch(error => {
+    console.error('Error sending rewrite request to tab:', error);
+  });
+});
+
+// Forward keyboard shortcuts to every frame of the tab; the frame with focus runs them
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (!tab) {
+    return;
+  }
+  
+  getSiteRule(getSenderHostname({ tab })).then(rule => {
+    // Sites that are turned off have no content script listening
+    if (rule.mode === 'off') {
+      return;
+    }
+    
+    return chrome.tabs.sendMessage(tab.id, { action: 'runCommand', command });
+  }).catch(error => {
+    console.error('Error sending keyboard command to tab:', error);
+  });
 });
 
 // Handle messages from popup and content scripts
@@ -29,24 +140,115 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       getUserInfo().then(sendResponse);
       return true;
       
+    case 'getOrganizations':
+      getOrganizations().then(sendResponse);
+      return true;
+      
+    case 'getConversations':
+      getConversations(request.orgId).then(sendResponse);
+      return true;
+      
     case 'getProjects':
-      getProjects().then(sendResponse);
+      getProjects(request.orgId, request.refresh).then(sendResponse);
       return true;
       
     case 'askClaude':
       console.log(`Received message from ${sender.tab ? 'content script' : 'popup'}:`, request);
-      askClaude(request.question, request.projectId, request.conversationTitle).then(sendResponse);
+      askClaude(request, createStreamForwarder(sender, request.streamId), getSenderHostname(sender))
+        .then(sendResponse)
+        .catch(error => sendResponse(getErrorResponse(error)));
+      return true;
+      
+    case 'cancelRequest':
+      sendResponse({ cancelled: cancelRequest(request.requestId) });
+      return false;
+      
+    case 'finishConversation':
+      getProviderSettings()
+        .then(settings => finishConversation(request.conversationId, settings))
+        .then(sendResponse)
+        .catch(error => {
+          console.error('Error cleaning up conversation:', error);
+          sendResponse({ error: error.message });
+        });
+      return true;
+      
+    case 'deleteCreatedConversations':
+      deleteCreatedConversations()
+        .then(sendResponse)
+        .catch(error => sendResponse({ error: error.message }));
+      return true;
+      
+    case 'setCodeMirrorValue':
+      setCodeMirrorValue(sender, request.targetId, request.text)
+        .then(sendResponse)
+        .catch(error => sendResponse({ error: error.message }));
+      return true;
+      
+    case 'getCommandShortcuts':
+      // The keys the user assigned to each command, for showing in the command palette
+      chrome.commands.getAll()
+        .then(commands => sendResponse(Object.fromEntries(commands.map(command => [command.name, command.shortcut]))))
+        .catch(() => sendResponse({}));
       return true;
       
     case 'captureScreenshot':
-      captureScreenshot().then(sendResponse);
+      captureScreenshot(request.redactRegions, request.viewportWidth, getSenderHostname(sender)).then(sendResponse);
       return true; // Indicates async response
   }
 });
 
+// Register the right-click entries shown for editable fields
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: 'claude-root',
+      title: 'Claude Form Assistant',
+      contexts: ['editable']
+    });
+    
+    REWRITE_MENU_ITEMS.forEach(item => {
+      chrome.contextMenus.create({
+        id: `claude-${item.id}`,
+        parentId: 'claude-root',
+        title: item.title,
+        contexts: ['editable']
+      });
+    });
+    
+    chrome.contextMenus.create({
+      id: 'claude-translate-menu',
+      parentId: 'claude-root',
+      title: 'Translate to…',
+      contexts: ['editable']
+    });
+    
+    TRANSLATE_LANGUAGES.forEach(language => {
+      chrome.contextMenus.create({
+        id: `claude-translate:${language}`,
+        parentId: 'claude-translate-menu',
+        title: language,
+        contexts: ['editable']
+      });
+    });
+    
+    chrome.contextMenus.create({
+      id: 'claude-translate:other',
+      parentId: 'claude-translate-menu',
+      title: 'Other language…',
+      contexts: ['editable']
+    });
+  });
+}
+
 // Capture a screenshot of the current active tab
-async function captureScreenshot() {
+async function captureScreenshot(redactRegions = [], viewportWidth = 0, hostname = null) {
   try {
+    // Only sites whose rule allows screenshots get one
+    if (hostname && (await getSiteRule(hostname)).mode !== 'auto-context') {
+      return { error: 'Screenshots are turned off for this site' };
+    }
+    
     // Get the current active tab
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tabs.length === 0) {
@@ -56,7 +258,17 @@ async function captureScreenshot() {
     try {
       // Attempt to capture screenshot of the active tab
       const screenshot = await chrome.tabs.captureVisibleTab(null, { format: 'png' });
-      return { screenshotData: screenshot };
+      if (redactRegions.length === 0) {
+        return { screenshotData: screenshot };
+      }
+      
+      // Never send the screenshot if the sensitive fields couldn't be blacked out
+      try {
+        return { screenshotData: await blackOutRegions(screenshot, redactRegions, viewportWidth) };
+      } catch (redactError) {
+        console.error('Screenshot redaction failed:', redactError);
+        return { error: 'Screenshot redaction failed' };
+      }
     } catch (captureError) {
       console.error('Screenshot capture failed:', captureError);
       return { 
@@ -69,276 +281,228 @@ async function captureScreenshot() {
   }
 }
 
-// Check if the user is logged in to Claude.ai
-async function checkLoginStatus() {
-  try {
-    // Try to get organizations - this will fail if not logged in
-    const orgs = await fetchOrganizations();
-    return !!orgs;
-  } catch (error) {
-    console.error('Error checking login status:', error);
-    return false;
-  }
-}
-
-// Get the user info from Claude.ai
-async function getUserInfo() {
-  try {
-    const orgs = await fetchOrganizations();
-    if (orgs && orgs.length > 0) {
-      // Return the user name from the first organization
-      return { name: orgs[0].name };
-    }
-    return null;
-  } catch (error) {
-    console.error('Error getting user info:', error);
-    return null;
+// Paint black boxes over parts of a screenshot, such as password and card fields.
+// Regions are in CSS pixels; the screenshot is in device pixels.
+async function blackOutRegions(screenshot, regions, viewportWidth) {
+  const image = await createImageBitmap(await (await fetch(screenshot)).blob());
+  const scale = viewportWidth ? image.width / viewportWidth : 1;
+  
+  const canvas = new OffscreenCanvas(image.width, image.height);
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0);
+  context.fillStyle = '#000';
+  regions.forEach(region => {
+    context.fillRect(region.x * scale, region.y * scale, region.width * scale, region.height * scale);
+  });
+  
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
   }
+  return `data:image/png;base64,${btoa(binary)}`;
 }
 
-// Fetch available projects/conversations
-async function getProjects() {
+// Ask Claude a question through the configured provider and get the response.
+// A provider assigned to the requesting site takes precedence over the global choice.
+async function askClaude(request, onChunk = null, hostname = null) {
   try {
-    // Use cached projects if available
-    if (cachedProjects) {
-      return cachedProjects;
-    }
+    const settings = await getProviderSettings();
+    const siteProviders = settings.siteProviders || {};
+    const providerId = (hostname && siteProviders[hostname]) || settings.provider || DEFAULT_PROVIDER_ID;
     
-    // Get organization ID if not already available
-    if (!currentOrgId) {
-      const orgs = await fetchOrganizations();
-      if (orgs && orgs.length > 0) {
-        currentOrgId = orgs[0].uuid;
-      } else {
-        throw new Error('No organizations found');
-      }
+    const provider = PROVIDERS.find(candidate => candidate.id === providerId);
+    if (!provider) {
+      throw new Error(`Unknown provider: ${providerId}`);
     }
     
-    // Fetch recent conversations
-    const conversations = await fetchProjects(currentOrgId);
-    
-    // Cache the projects
-    cachedProjects = conversations.map(conv => ({
-      id: conv.uuid,
-      name: conv.name || 'Untitled Conversation',
-      lastUpdated: new Date(conv.updated_at)
-    }));
-    
-    // Sort by last updated date (newest first)
-    cachedProjects.sort((a, b) => b.lastUpdated - a.lastUpdated);
-    
-    return cachedProjects;
-  } catch (error) {
-    console.error('Error getting projects:', error);
-    return [];
-  }
-}
-
-// Ask Claude a question and get the response
-async function askClaude(question, projectId, conversationTitle) {
-  try {
-    // Get organization ID if not already available
-    if (!currentOrgId) {
-      const orgs = await fetchOrganizations();
-      if (orgs && orgs.length > 0) {
-        currentOrgId = orgs[0].uuid;
-      } else {
-        throw new Error('No organizations found');
-      }
+    if (request.ephemeral && !provider.supportsEphemeral) {
+      throw createProviderError(PROVIDER_ERRORS.UNSUPPORTED_PROVIDER,
+        `${provider.name} can't make suggestions while typing. Use the Anthropic API or an OpenAI-compatible model for them.`);
     }
     
-    // Create a new conversation if no project ID is specified or if it's the default project
-    let conversationId = null;
-    let newConversationCreated = false;
+    // Pages on sites that are turned off must never reach a model, whatever asks for them
+    if (hostname && (await getSiteRule(hostname)).mode === 'off') {
+      throw new Error('Claude Form Assistant is turned off for this site');
+    }
     
-    // Use the provided conversation title or fallback to a generic one
-    let conversationName = conversationTitle || `Form Assistant - ${new Date().toLocaleString()}`;
-
-    conversationId = await createConversation(currentOrgId, projectId, conversationName);
-    newConversationCreated = true;
+    // The screenshot travels next to the prompt, never in it, so page text can't pose as one
+    const screenshot = request.screenshotData ? parseScreenshot(request.screenshotData) : null;
     
-    // Send the message to Claude
-    const response = await sendMessage(currentOrgId, conversationId, question);
-
-    // Generate the conversation URL
-    const conversationUrl = `${CLAUDE_API.BASE_URL}${CLAUDE_API.CHAT.replace('{orgId}', currentOrgId).replace('{chatId}', conversationId)}`;
-    console.log('Conversation URL:', conversationUrl);
-    const chatResponseRaw = await fetch(conversationUrl, {
-      method: 'GET',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      credentials: 'include'
-    });
-    if (!chatResponseRaw.ok) {
-      throw new Error(`Failed to retrieve messages: ${chatResponseRaw.status}`);
+    // Requests sent with an ID can be cancelled until they finish, and every request times out
+    // once Claude stops sending text. The timer restarts with each chunk, so long answers that
+    // keep streaming are never cut off.
+    const controller = new AbortController();
+    if (request.requestId) {
+      activeRequests.set(request.requestId, controller);
     }
-    const chatResponse = await chatResponseRaw.json();
-    console.log('Response from Claude:', chatResponse);
-
-    const chatUrl = `${CLAUDE_API.BASE_URL}/chat/${conversationId}`
     
-    // Extract answer from the response
-    const result = {
-      answer: extractAnswer(chatResponse),
-      conversationId,
-      chatUrl,
-      newConversationCreated
+    let timeout = null;
+    const restartTimeout = () => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => {
+        controller.abort(new DOMException('Claude took too long to respond', 'TimeoutError'));
+      }, request.timeout || REQUEST_TIMEOUT);
     };
-
-    console.log('Result from Claude:', JSON.stringify(result));
-
-    return result;
+    restartTimeout();
+    
+    try {
+      const result = await provider.ask({
+        prompt: request.question,
+        images: screenshot ? [screenshot] : [],
+        projectId: request.projectId,
+        conversationTitle: request.conversationTitle,
+        conversationKey: request.conversationKey,
+        pageTitle: request.pageTitle,
+        followUp: request.followUp,
+        ephemeral: !!request.ephemeral,
+        signal: controller.signal,
+        onChunk: (text) => {
+          restartTimeout();
+          if (onChunk) {
+            onChunk(text);
+          }
+        }
+      }, settings);
+      
+      console.log(`Result from ${provider.name}:`, JSON.stringify(result));
+      
+      return result;
+    } catch (error) {
+      // Report why the request was aborted, whatever step of the provider it interrupted
+      throw controller.signal.aborted ? controller.signal.reason : error;
+    } finally {
+      clearTimeout(timeout);
+      if (request.requestId) {
+        activeRequests.delete(request.requestId);
+      }
+    }
   } catch (error) {
-    console.error('Error asking Claude:', error, error.stack);
+    if (error.name === 'AbortError') {
+      console.log('Request cancelled:', request.requestId);
+    } else {
+      console.error('Error asking Claude:', error, error.stack);
+    }
     throw error;
   }
 }
 
-// Helper function to extract the answer from Claude's response
-function extractAnswer(response) {
-  if (!response || !response.chat_messages || response.chat_messages.length < 2 || !response.chat_messages[1].content || response.chat_messages[1].content.length < 1 || !response.chat_messages[1].content[0].text) {
-    return '';
+// Turn an error from askClaude into the response for the sender. Cancelled requests aren't errors.
+function getErrorResponse(error) {
+  if (error.name === 'AbortError') {
+    return { cancelled: true };
   }
-
-  return response.chat_messages[1].content[0].text;
-}
-
-// Fetch organizations from Claude.ai
-async function fetchOrganizations() {
-  const response = await fetch(`${CLAUDE_API.BASE_URL}${CLAUDE_API.ORGANIZATIONS}`, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    credentials: 'include'
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Failed to fetch organizations: ${response.status}`);
+  if (error.name === 'TimeoutError') {
+    return { error: 'Claude took too long to respond. Please try again.' };
   }
-  
-  return await response.json();
+  if (error.name === 'ProviderError') {
+    return {
+      error: error.message,
+      errorCode: error.code,
+      resetsAt: error.resetsAt ? error.resetsAt.getTime() : null
+    };
+  }
+  return { error: error.message };
 }
 
-// Fetch recent conversations from Claude.ai
-async function fetchProjects(orgId) {
-  const url = `${CLAUDE_API.BASE_URL}${CLAUDE_API.PROJECTS.replace('{orgId}', orgId)}`;
-  
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    credentials: 'include'
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Failed to fetch conversations: ${response.status}`);
+// Abort a running request; its askClaude call then rejects with an AbortError.
+// Returns whether there was a request to cancel.
+function cancelRequest(requestId) {
+  const controller = activeRequests.get(requestId);
+  if (!controller) {
+    return false;
   }
   
-  return await response.json();
+  controller.abort();
+  activeRequests.delete(requestId);
+  return true;
 }
 
-// Create a new conversation on Claude.ai
-async function createConversation(orgId, projId, name = null) {
-  const url = `${CLAUDE_API.BASE_URL}${CLAUDE_API.CHAT_LIST.replace('{orgId}', orgId)}`;
+// Load the provider choice and its options. The API key is kept in local storage so it never syncs.
+async function getProviderSettings() {
+  const syncSettings = await chrome.storage.sync.get([
+    'provider',
+    'anthropicModel',
+    'anthropicMaxTokens',
+    'anthropicSystemPrompt',
+    'openaiBaseUrl',
+    'openaiModel',
+    'openaiSendImages',
+    'siteProviders',
+    'conversationMode',
+    'existingConversationId',
+    'afterFillAction',
+    'archiveProjectId'
+  ]);
+  const localSettings = await chrome.storage.local.get(['anthropicApiKey', 'openaiApiKey']);
   
-  const conversationName = name || `Form Assistant - ${new Date().toLocaleString()}`;
+  return { ...syncSettings, ...localSettings };
+}
 
-  const uuid = crypto.randomUUID();
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
+// Set the value of a CodeMirror 5 editor through its API. The editor object is only reachable
+// from the page's own JavaScript world, not from the content script.
+async function setCodeMirrorValue(sender, targetId, text) {
+  const [injection] = await chrome.scripting.executeScript({
+    target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+    world: 'MAIN',
+    func: (id, value) => {
+      const element = document.querySelector(`[data-claude-editor-target="${id}"]`);
+      if (!element || !element.CodeMirror) {
+        return false;
+      }
+      element.CodeMirror.setValue(value);
+      element.CodeMirror.focus();
+      return true;
     },
-    credentials: 'include',
-    body: JSON.stringify({
-      name: conversationName,
-      include_conversation_preferences: true,
-      project_uuid: projId,
-      uuid: uuid,
-    })
+    args: [targetId, text]
   });
   
-  if (!response.ok) {
-    throw new Error(`Failed to create conversation: ${response.status}`);
+  return { success: !!(injection && injection.result) };
+}
+
+// Get the hostname of the page a message came from, if it came from a tab
+function getSenderHostname(sender) {
+  try {
+    return sender.tab && sender.tab.url ? new URL(sender.tab.url).hostname : null;
+  } catch (error) {
+    return null;
   }
-  await response.json()
-  
-  return uuid;
 }
 
-// Send a message to Claude and get the response
-async function sendMessage(orgId, conversationId, message) {
-  const url = `${CLAUDE_API.BASE_URL}${CLAUDE_API.SEND_MESSAGE.replace().replace('{orgId}', orgId).replace('{chatId}', conversationId)}`;
-  console.log("sending message on url", url);
-  
-  // Check if the message contains an image tag (screenshot)
-  const hasImage = message.includes("<image>");
-  let attachments = [];
-  
-  if (hasImage) {
-    // Extract the base64 image data
-    const imageMatch = message.match(/<image>(.*?)<\/image>/s);
-    if (imageMatch && imageMatch[1]) {
-      const base64Data = imageMatch[1].trim();
-      
-      // Create an attachment for the image
-      attachments = [{
-        file_name: "screenshot.png",
-        file_type: "image/png",
-        file_size: Math.ceil(base64Data.length * 0.75), // Approximate size in bytes
-        extracted_content: "",
-        file_id: crypto.randomUUID(),
-        media_type: "image",
-        width: 1200, // Default width
-        height: 800, // Default height
-        display_width: 1200,
-        display_height: 800,
-        data: base64Data
-      }];
-      
-      // Remove the image tag from the message
-      message = message.replace(/<image>.*?<\/image>/s, "");
-    }
+// Turn a screenshot data URL into a { mediaType, data, dataUrl } image for the providers.
+// Anything but a base64 image is left out rather than failing the request.
+function parseScreenshot(dataUrl) {
+  const parts = typeof dataUrl === 'string' && dataUrl.match(/^data:(image\/(?:png|jpeg|gif|webp));base64,([A-Za-z0-9+/]+=*)$/);
+  if (!parts) {
+    console.warn('Ignoring a screenshot that is not a base64 image');
+    return null;
   }
   
-  // Send the message to Claude
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    credentials: 'include',
-    body: JSON.stringify({
-      "prompt": message,
-      "parent_message_uuid": "00000000-0000-4000-8000-000000000000",
-      "timezone": "Asia/Calcutta",
-      "personalized_styles": [
-        {
-          "type": "default",
-          "key": "Default",
-          "name": "Normal",
-          "nameKey": "normal_style_name",
-          "prompt": "Normal",
-          "summary": "Default responses from Claude",
-          "summaryKey": "normal_style_summary",
-          "isDefault": true
-        }
-      ],
-      "locale": "en-US",
-      "tools": [],
-      "attachments": hasImage ? attachments : [],
-      "files": [],
-      "sync_sources": [],
-      "rendering_mode": "messages"
-    })
-  });
-  
-  if (!response.ok) {
-    throw new Error(`Failed to send message: ${response.status}`);
+  return { mediaType: parts[1], data: parts[2], dataUrl };
+}
+
+// Build a chunk callback that forwards partial answers to the requesting tab.
+// Chunks are throttled; the complete answer is always delivered in the final response.
+function createStreamForwarder(sender, streamId) {
+  if (!streamId || !sender.tab) {
+    return null;
   }
   
-  return await response.text();
-}
\ No newline at end of file
+  let lastSent = 0;
+  return (text) => {
+    const now = Date.now();
+    if (now - lastSent < 80) {
+      return;
+    }
+    lastSent = now;
+    
+    chrome.tabs.sendMessage(sender.tab.id, {
+      action: 'claudeStreamChunk',
+      streamId,
+      text
+    }, { frameId: sender.frameId }).catch(() => {
+      // The tab may have navigated away; the final response still settles the request
+    });
+  };
+}
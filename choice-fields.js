@@ -0,0 +1,422 @@
+// Choice fields: selects, radio buttons, checkboxes and ARIA listbox/combobox widgets
+
+// Elements that ask the user to pick from a set of options rather than type
+const CHOICE_FIELD_SELECTORS = [
+  'select',
+  'input[type="radio"]',
+  'input[type="checkbox"]',
+  '[role="listbox"]',
+  '[role="combobox"]',
+  '[role="radiogroup"]'
+];
+
+// How long to wait for a combobox to render its options after opening it
+const COMBOBOX_OPEN_DELAY = 300;
+
+/**
+ * Checks whether an element is a choice field
+ * @param {Element} element The element to check
+ * @returns {boolean} True for selects, radios, checkboxes and ARIA choice widgets
+ */
+function isChoiceField(element) {
+  return !!element && element.nodeType === Node.ELEMENT_NODE &&
+    CHOICE_FIELD_SELECTORS.some(selector => element.matches(selector));
+}
+
+/**
+ * Reads a choice field and the options it offers. Radios and checkboxes that share a name
+ * (or a fieldset) are read as one group.
+ * @param {Element} element A choice field, or any radio/checkbox of a group
+ * @returns {Promise<Object|null>} { kind, element, label, multiple, options: [{ label, selected, node }] },
+ *   or null if no options could be found
+ */
+async function readChoiceField(element) {
+  let field = null;
+
+  if (element.tagName === 'SELECT') {
+    field = {
+      kind: 'select',
+      multiple: element.multiple,
+      options: [...element.options]
+        .filter(option => !option.disabled && !(option.value === '' && !element.multiple))
+        .map(option => ({ label: getReadableText(option).trim(), selected: option.selected, node: option }))
+    };
+  } else if (element.matches('input[type="radio"], [role="radiogroup"]')) {
+    const radios = getChoiceGroupInputs(element, 'radio');
+    if (radios.length > 0) {
+      field = {
+        kind: 'radio',
+        multiple: false,
+        options: radios.map(radio => ({ label: getChoiceOptionLabel(radio), selected: radio.checked, node: radio }))
+      };
+    } else {
+      // Custom radio groups made of role="radio" elements behave like a listbox
+      field = {
+        kind: 'listbox',
+        multiple: false,
+        options: readAriaOptions(element, '[role="radio"]')
+      };
+    }
+  } else if (element.matches('input[type="checkbox"]')) {
+    const checkboxes = getChoiceGroupInputs(element, 'checkbox');
+    if (checkboxes.length > 1) {
+      field = {
+        kind: 'checkbox',
+        multiple: true,
+        options: checkboxes.map(checkbox => ({ label: getChoiceOptionLabel(checkbox), selected: checkbox.checked, node: checkbox }))
+      };
+    } else {
+      // A lone checkbox is a yes/no question, usually asked by its own label
+      field = {
+        kind: 'toggle',
+        multiple: false,
+        label: getChoiceOptionLabel(element),
+        options: [
+          { label: 'Yes', selected: element.checked, node: element },
+          { label: 'No', selected: !element.checked, node: element }
+        ]
+      };
+    }
+  } else if (element.matches('[role="listbox"]')) {
+    field = {
+      kind: 'listbox',
+      multiple: element.getAttribute('aria-multiselectable') === 'true',
+      options: readAriaOptions(element)
+    };
+  } else if (element.matches('[role="combobox"]')) {
+    const listbox = await openCombobox(element);
+    field = {
+      kind: 'combobox',
+      multiple: false,
+      options: listbox ? readAriaOptions(listbox) : []
+    };
+  }
+
+  if (!field || field.options.length === 0) {
+    return null;
+  }
+
+  field.element = element;
+  if (!field.label) {
+    field.label = getChoiceGroupLabel(element);
+  }
+  return field;
+}
+
+/**
+ * Finds the radios or checkboxes that form a group with an element: those with the same
+ * name in the same form, or else those in the same fieldset or ARIA group
+ * @param {Element} element A radio/checkbox, or a radiogroup element
+ * @param {string} type 'radio' or 'checkbox'
+ * @returns {Array<HTMLInputElement>} The inputs of the group, in document order
+ */
+function getChoiceGroupInputs(element, type) {
+  if (element.tagName === 'INPUT' && element.name) {
+    const scope = element.form || document;
+    return [...scope.querySelectorAll(`input[type="${type}"]`)].filter(input => input.name === element.name);
+  }
+
+  const container = element.matches('[role="radiogroup"], [role="group"], fieldset')
+    ? element
+    : element.closest('[role="radiogroup"], [role="group"], fieldset');
+  if (container) {
+    return [...container.querySelectorAll(`input[type="${type}"]`)];
+  }
+
+  return element.tagName === 'INPUT' ? [element] : [];
+}
+
+/**
+ * Gets the text shown for one radio button or checkbox
+ * @param {HTMLInputElement} input The radio button or checkbox
+ * @returns {string} Its label
+ */
+function getChoiceOptionLabel(input) {
+  if (input.id) {
+    const label = document.querySelector(`label[for="${CSS.escape(input.id)}"]`);
+    const labelText = label ? getReadableText(label).trim() : '';
+    if (labelText) {
+      return labelText;
+    }
+  }
+
+  const wrappingLabel = input.closest('label');
+  const wrappingLabelText = wrappingLabel ? getReadableText(wrappingLabel).trim() : '';
+  if (wrappingLabelText) {
+    return wrappingLabelText;
+  }
+
+  const labelledBy = getAriaLabelledByText(input);
+  if (labelledBy) {
+    return labelledBy;
+  }
+
+  // Unlabelled inputs are often followed directly by their text
+  const next = input.nextSibling;
+  const nextText = next ? getNodeText(next).trim() : '';
+  if (nextText) {
+    return nextText;
+  }
+
+  return (input.getAttribute('aria-label') || input.value || '').replace(INVISIBLE_CHARACTERS, '');
+}
+
+/**
+ * Gets the visible text of a node, which may be a plain text node
+ * @param {Node} node The node
+ * @returns {string} Its visible text
+ */
+function getNodeText(node) {
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    return getReadableText(node);
+  }
+  return (node.textContent || '').replace(INVISIBLE_CHARACTERS, '');
+}
+
+/**
+ * Gets the question a choice field asks: a fieldset legend, the label of an ARIA group,
+ * or the label of a select/listbox
+ * @param {Element} element The choice field
+ * @returns {string} The question, or an empty string if none was found
+ */
+function getChoiceGroupLabel(element) {
+  if (element.tagName === 'SELECT' || element.matches('[role="listbox"], [role="combobox"]')) {
+    if (element.id) {
+      const label = document.querySelector(`label[for="${CSS.escape(element.id)}"]`);
+      const labelText = label ? getReadableText(label).trim() : '';
+      if (labelText) {
+        return labelText;
+      }
+    }
+    return getAriaLabelledByText(element) || (element.getAttribute('aria-label') || '').replace(INVISIBLE_CHARACTERS, '');
+  }
+
+  const group = element.closest('[role="radiogroup"], [role="group"], fieldset');
+  if (group) {
+    const legend = group.tagName === 'FIELDSET' ? group.querySelector('legend') : null;
+    const legendText = legend ? getReadableText(legend).trim() : '';
+    if (legendText) {
+      return legendText;
+    }
+    return getAriaLabelledByText(group) || (group.getAttribute('aria-label') || '').replace(INVISIBLE_CHARACTERS, '');
+  }
+
+  return '';
+}
+
+/**
+ * Reads the text of the elements referenced by an element's aria-labelledby
+ * @param {Element} element The element
+ * @returns {string} The label text
+ */
+function getAriaLabelledByText(element) {
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (!labelledBy) {
+    return '';
+  }
+
+  return labelledBy.split(/\s+/)
+    .map(id => document.getElementById(id))
+    .filter(Boolean)
+    .map(label => getReadableText(label).trim())
+    .join(' ');
+}
+
+/**
+ * Reads the options of an ARIA listbox (or radio group)
+ * @param {Element} listbox The listbox element
+ * @param {string} optionSelector Selector for its options
+ * @returns {Array<Object>} Options of the form { label, selected, node }
+ */
+function readAriaOptions(listbox, optionSelector = '[role="option"]') {
+  return [...listbox.querySelectorAll(optionSelector)]
+    .filter(option => option.getAttribute('aria-disabled') !== 'true')
+    .map(option => ({
+      label: (option.getAttribute('aria-label') || getReadableText(option)).replace(INVISIBLE_CHARACTERS, '').trim(),
+      selected: option.getAttribute('aria-selected') === 'true' || option.getAttribute('aria-checked') === 'true',
+      node: option
+    }))
+    .filter(option => option.label);
+}
+
+/**
+ * Opens a combobox so that its options are rendered, and finds its listbox
+ * @param {Element} combobox The combobox element
+ * @returns {Promise<Element|null>} The listbox, or null if it didn't appear
+ */
+async function openCombobox(combobox) {
+  const findListbox = () => {
+    const id = combobox.getAttribute('aria-controls') || combobox.getAttribute('aria-owns');
+    const listbox = id ? document.getElementById(id) : combobox.querySelector('[role="listbox"]');
+    return listbox && listbox.querySelector('[role="option"]') ? listbox : null;
+  };
+
+  if (combobox.getAttribute('aria-expanded') !== 'true' || !findListbox()) {
+    combobox.focus();
+    combobox.click();
+    await new Promise(resolve => setTimeout(resolve, COMBOBOX_OPEN_DELAY));
+
+    // Some comboboxes only open from the keyboard
+    if (!findListbox()) {
+      combobox.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', code: 'ArrowDown', bubbles: true }));
+      await new Promise(resolve => setTimeout(resolve, COMBOBOX_OPEN_DELAY));
+    }
+  }
+
+  return findListbox();
+}
+
+/**
+ * Matches Claude's answers to a field's options. Answers can be option labels, or
+ * 1-based option numbers.
+ * @param {Array<Object>} options The field's options
+ * @param {Array<string|number>} answers Claude's chosen options
+ * @returns {Array<Object>} The matching options, without duplicates
+ */
+function matchChoiceOptions(options, answers) {
+  const normalize = text => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+  const matches = [];
+
+  answers.forEach(answer => {
+    const wanted = normalize(answer);
+    if (!wanted) return;
+
+    let match = options.find(option => normalize(option.label) === wanted);
+
+    if (!match && /^\d+$/.test(wanted) && Number(wanted) >= 1 && Number(wanted) <= options.length) {
+      match = options[Number(wanted) - 1];
+    }
+
+    // Fall back to the longest option whose label contains the answer, or is contained in it
+    if (!match) {
+      match = options
+        .filter(option => normalize(option.label).includes(wanted) || wanted.includes(normalize(option.label)))
+        .sort((a, b) => b.label.length - a.label.length)[0];
+    }
+
+    if (match && !matches.includes(match)) {
+      matches.push(match);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Selects Claude's chosen options in a choice field and fires the events the page listens for
+ * @param {Object} field A field from readChoiceField
+ * @param {Array<string|number>} answers Claude's chosen options
+ * @returns {Promise<Array<string>>} Labels of the options that were selected
+ */
+async function applyChoiceAnswer(field, answers) {
+  const chosen = matchChoiceOptions(field.options, answers);
+  const selected = field.multiple ? chosen : chosen.slice(0, 1);
+
+  // Nothing matched: leave the field as it is
+  if (selected.length === 0 && (!field.multiple || answers.length > 0)) {
+    return [];
+  }
+
+  switch (field.kind) {
+    case 'select': {
+      field.options.forEach(option => {
+        option.node.selected = selected.includes(option);
+      });
+      if (!field.multiple) {
+        // Use the native setter so frameworks like React notice the change
+        const valueSetter = Object.getOwnPropertyDescriptor(HTMLSelectElement.prototype, 'value').set;
+        valueSetter.call(field.element, selected[0].node.value);
+      }
+      field.element.dispatchEvent(new Event('input', { bubbles: true }));
+      field.element.dispatchEvent(new Event('change', { bubbles: true }));
+      break;
+    }
+
+    case 'toggle': {
+      // Clicking fires the same input/change events as a real click
+      const shouldCheck = selected[0].label === 'Yes';
+      if (field.element.checked !== shouldCheck) {
+        field.element.click();
+      }
+      break;
+    }
+
+    case 'radio':
+    case 'checkbox':
+    case 'listbox':
+      field.options.forEach(option => {
+        const shouldSelect = selected.includes(option);
+        const isSelected = option.node.tagName === 'INPUT'
+          ? option.node.checked
+          : option.node.getAttribute('aria-selected') === 'true' || option.node.getAttribute('aria-checked') === 'true';
+        if (shouldSelect !== isSelected && (shouldSelect || field.multiple)) {
+          option.node.click();
+        }
+      });
+      break;
+
+    case 'combobox': {
+      // The options may have been re-rendered while Claude was thinking, so look them up again
+      const listbox = await openCombobox(field.element);
+      const option = listbox && matchChoiceOptions(readAriaOptions(listbox), [selected[0].label])[0];
+      if (!option) {
+        return [];
+      }
+      option.node.click();
+      break;
+    }
+  }
+
+  return selected.map(option => option.label);
+}
+
+/**
+ * Finds the choice fields in a region that have not been answered yet, one element per
+ * radio/checkbox group. Comboboxes are left out, since reading them means opening them.
+ * @param {Element} region The form or page region to search
+ * @returns {Array<Element>} One element per unanswered choice field
+ */
+function collectChoiceFields(region) {
+  const fields = [];
+  const seenGroups = new Set();
+
+  region.querySelectorAll(CHOICE_FIELD_SELECTORS.filter(selector => selector !== '[role="combobox"]').join(', ')).forEach(element => {
+    if (element.disabled || element.getAttribute('aria-disabled') === 'true') return;
+    
+    // Styled radios and checkboxes are often hidden behind their label, so either counts as visible
+    const labels = element.labels ? [...element.labels] : [];
+    if (element.getClientRects().length === 0 && !labels.some(label => label.getClientRects().length > 0)) return;
+
+    // Radios inside an ARIA radiogroup are handled through the group
+    if (element.tagName === 'INPUT' && element.closest('[role="radiogroup"]')) return;
+
+    if (element.tagName === 'SELECT') {
+      if (!element.value) fields.push(element);
+      return;
+    }
+
+    if (element.matches('[role="listbox"]')) {
+      if (!readAriaOptions(element).some(option => option.selected)) fields.push(element);
+      return;
+    }
+
+    const type = element.matches('[role="radiogroup"]') ? 'radio' : element.type;
+    const group = getChoiceGroupInputs(element, type);
+    
+    // A radio group made of role="radio" elements
+    if (group.length === 0 && type === 'radio') {
+      if (!readAriaOptions(element, '[role="radio"]').some(option => option.selected)) fields.push(element);
+      return;
+    }
+
+    if (group.length === 0 || group.some(input => seenGroups.has(input))) return;
+    group.forEach(input => seenGroups.add(input));
+
+    // Groups where something is already chosen count as answered
+    if (!group.some(input => input.checked)) {
+      fields.push(element);
+    }
+  });
+
+  return fields;
+}
@@ -2,7 +2,6 @@
 
 // Configuration for context capture
 const CONTEXT_CONFIG = {
-  maxPageContentLength: 20000, // Maximum characters of page content to send
   captureScreenshot: true, // Whether to capture screenshots
 };
 const FORM_ELEMENTS = [
@@ -22,20 +21,80 @@ const FORM_ELEMENTS = [
   '.ProseMirror',
   '.ql-editor', // Quill editor
   '.CodeMirror', // CodeMirror editor
-  '[data-slate-editor="true"]' // Slate editor
+  '[data-slate-editor="true"]', // Slate editor
+  // Selects, radios, checkboxes and ARIA listbox/combobox widgets
+  ...CHOICE_FIELD_SELECTORS
 ];
 let activeElement = null;
 let claudeButton = null;
-let currentConversationUrl = null;
 let isProcessing = false;
+// Requests to Claude the user is waiting on, so a fill can cancel them. Quiet requests, such as
+// ghost-text suggestions, cancel themselves and aren't included.
+const pendingRequestIds = new Set();
+// Cancels the fill that has the Claude button busy, while there is one
+let cancelCurrentFill = null;
+// Callbacks for answers that are streamed in from the background script, keyed by stream ID
+const streamHandlers = new Map();
+// Fields currently receiving a streamed answer, whose pre-fill content is already in their history
+const streamingElements = new WeakSet();
+// The panel for refining the last inserted answer, if one is open
+let activeRefinePanel = null;
+// How many times Claude is asked to fix an answer that breaks the field's constraints
+const MAX_CORRECTION_ATTEMPTS = 2;
+// The rule for this site from the popup, which decides what the extension may do here
+let siteRule = DEFAULT_SITE_RULE;
+// Whether fields get the floating Claude button; without it Claude is used through the shortcuts
+let showFloatingButton = true;
 
-// Initialize when the page loads
-init();
+// Initialize when the page loads, unless the site's rule turns the extension off
+getSiteRule(window.location.hostname).then(rule => {
+  siteRule = rule;
+  if (siteRule.mode !== 'off') {
+    init();
+  }
+});
 
-// Listen for custom events from site-specific handlers (like Airtable)
-document.addEventListener('claude-airtable-request', async (event) => {
+// Handle messages from the background script and popup
+function handleRuntimeMessage(message, sender, sendResponse) {
+  switch (message.action) {
+    case 'claudeStreamChunk':
+      // Receive partial answers while Claude is still generating
+      if (streamHandlers.has(message.streamId)) {
+        streamHandlers.get(message.streamId)(message.text);
+      }
+      break;
+      
+    case 'fillAllFields':
+      // Only the frame the user was working in handles the request; the top
+      // frame falls back to the first form on the page if nothing was focused
+      if (activeElement || window === window.top) {
+        fillAllFields();
+        sendResponse({ started: true });
+      }
+      break;
+      
+    case 'rewriteSelection':
+      rewriteSelection(message.command, message.language);
+      break;
+      
+    case 'runCommand':
+      // Keyboard shortcuts go to every frame; only the one the user is typing in runs them.
+      // A parent frame also has focus while one of its frames does, so it leaves those alone.
+      if (document.hasFocus() && !(document.activeElement && ['IFRAME', 'FRAME'].includes(document.activeElement.tagName))) {
+        runKeyboardCommand(message.command);
+      }
+      break;
+  }
+}
+
+// Handle requests from site-specific handlers (like Airtable)
+async function handleAirtableRequest(event) {
   const { element, question } = event.detail;
   
+  if (!isFieldAllowedBySiteRule(element, siteRule)) {
+    return;
+  }
+  
   try {
     // Store element for later use
     activeElement = element;
@@ -53,18 +112,23 @@ document.addEventListener('claude-airtable-request', async (event) => {
       return; // User cancelled
     }
     
-    // Show notification that we're processing
-    showNotification('Asking Claude...');
-    
     // Send question to Claude
-    const response = await sendMessageToBackground({
-      action: 'askClaude',
+    const response = await requestAnswer({
       question: finalQuestion,
+      element,
       projectId: settings.defaultProject
     });
     
-    if (response && response.answer) {
-      // Send response back to the page through another custom event
+    if (response && response.cancelled) {
+      return;
+    } else if (response && response.error) {
+      showNotification('Error: ' + response.error);
+    } else if (response && response.answer) {
+      // Insert directly first so the field's previous content is recorded in its history
+      insertTextIntoElement(element, response.answer);
+      releaseConversation(response);
+      
+      // Also send the response back to the page through another custom event
       const responseEvent = new CustomEvent('claude-response-ready', {
         detail: {
           element: element,
@@ -72,9 +136,6 @@ document.addEventListener('claude-airtable-request', async (event) => {
         }
       });
       document.dispatchEvent(responseEvent);
-      
-      // Also try to insert directly
-      insertTextIntoElement(element, response.answer);
     } else {
       showNotification('Error getting response from Claude. Please try again.');
     }
@@ -82,14 +143,21 @@ document.addEventListener('claude-airtable-request', async (event) => {
     console.error('Error processing Airtable request:', error);
     showNotification('Error: ' + (error.message || 'Could not get response from Claude'));
   }
-});
+}
 
 function init() {
+  // Listen for requests from the background script, the popup and site-specific handlers
+  chrome.runtime.onMessage.addListener(handleRuntimeMessage);
+  document.addEventListener('claude-airtable-request', handleAirtableRequest);
+  
   // Add listeners to all form elements
   addFormElementListeners();
   
   // Create the Claude button element but don't attach it yet
   createClaudeButton();
+  chrome.storage.sync.get(['showFloatingButton']).then(settings => {
+    showFloatingButton = settings.showFloatingButton !== false;
+  });
   
   // Listen for document changes to catch dynamically added form elements
   observePageChanges();
@@ -107,6 +175,12 @@ function init() {
   
   // Additional initialization for complex web applications
   setupAdvancedEventCapturing();
+  
+  // Alt+Shift+Z restores the field's content from before the last fill
+  setupFieldHistoryShortcut();
+  
+  // Suggest continuations while the user types, if turned on
+  setupGhostText();
 }
 
 function retryInitialization() {
@@ -304,7 +378,7 @@ function createClaudeButton() {
       </svg>
       <div class="claude-button-processing-spinner hidden"></div>
     `;
-    claudeButton.title = 'Ask Claude to complete this field';
+    claudeButton.title = 'Ask Claude to complete this field (Shift+click to choose a template, Alt+click for 3 options)';
     claudeButton.addEventListener('click', handleClaudeButtonClick);
     document.body.appendChild(claudeButton);
     
@@ -364,8 +438,8 @@ function handleElementFocus(event) {
 function handleElementBlur(event) {
   // Small delay to allow for clicking the Claude button
   setTimeout(() => {
-    // Check if the new active element is the Claude button itself
-    if (document.activeElement !== claudeButton) {
+    // Check if the new active element is the Claude button (or its history button) itself
+    if (document.activeElement !== claudeButton && document.activeElement !== historyButton) {
       hideClaudeButton();
     }
   }, 100);
@@ -374,6 +448,13 @@ function handleElementBlur(event) {
 function positionClaudeButton(element) {
   if (!claudeButton || !element) return;
   
+  // Fields the site's rule leaves out never get the button, and neither does any
+  // field when the user has turned the button off
+  if (!isFieldAllowedBySiteRule(element, siteRule) || !showFloatingButton) {
+    hideClaudeButton();
+    return;
+  }
+  
   const rect = element.getBoundingClientRect();
   const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
   const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
@@ -432,40 +513,61 @@ function positionClaudeButton(element) {
     if (buttonRect.top < 0) {
       claudeButton.style.top = (scrollTop + 10) + 'px';
     }
+    
+    // Offer earlier versions if Claude has changed this field before
+    updateHistoryButton(element);
   }, 0);
 }
 
 function hideClaudeButton() {
   if (claudeButton) {
     claudeButton.style.display = 'none';
+    updateHistoryButton(null);
   }
 }
 
-async function handleClaudeButtonClick() {
-  // If already processing and we have a conversation URL, open that conversation
-  if (isProcessing && currentConversationUrl) {
-    window.open(currentConversationUrl, '_blank');
+function handleClaudeButtonClick(event) {
+  // While Claude is working, the button cancels instead
+  if (isProcessing) {
+    cancelProcessing();
     return;
   }
   
-  if (!activeElement) return;
+  // Shift+click always asks, so a different template can be picked for this fill.
+  // Alt+click asks for several alternatives to choose from instead of a single answer.
+  fillActiveField({ forcePrompt: event.shiftKey, wantOptions: event.altKey });
+}
+
+// Ask Claude to fill the active field. Options: forcePrompt to ask for the question even when
+// one is detected, wantOptions for alternatives to choose from, templateId to use a specific template.
+async function fillActiveField(options = {}) {
+  if (isProcessing || !activeElement) return;
+  
+  // A new fill ends any refinement of the previous answer
+  if (activeRefinePanel) {
+    activeRefinePanel.close();
+  }
+  
+  // Every answer Claude gives, so their conversations can be cleaned up when we're done
+  const answeredResponses = [];
+  // Resolves once the user has finished refining the inserted answer
+  let refineFinished = null;
   
   try {
     // Show processing state
-    isProcessing = true;
-    claudeButton.classList.add('processing');
-    const spinner = claudeButton.querySelector('.claude-button-processing-spinner');
-    spinner.classList.remove('hidden');
-    claudeButton.title = 'Click to open conversation in Claude';
+    setButtonProcessing(true);
+    const fill = startCancellableFill();
     
     // Ensure the active element is properly focused before proceeding
     activeElement.focus();
     
     // For certain frameworks, we need to explicitly click the element first
     // This helps with activating the form field in complex web applications
-    if (activeElement.classList.contains('form-control') || 
-        activeElement.hasAttribute('data-component') ||
-        activeElement.closest('.ProseMirror, .ql-editor, .CodeMirror, [data-slate-editor="true"]')) {
+    // (Not for choice fields, where a click would change the selection)
+    if (!isChoiceField(activeElement) &&
+        (activeElement.classList.contains('form-control') || 
+         activeElement.hasAttribute('data-component') ||
+         activeElement.closest('.ProseMirror, .ql-editor, .CodeMirror, [data-slate-editor="true"]'))) {
       activeElement.click();
       
       // Give the application a moment to respond to the click
@@ -476,96 +578,852 @@ async function handleClaudeButtonClick() {
     }
     
     // Get settings
-    const settings = await chrome.storage.sync.get(['defaultProject', 'autoDetect']);
+    const settings = await chrome.storage.sync.get(['defaultProject', 'autoDetect', 'reviewBeforeInsert']);
     
-    // Get the question/prompt
+    // Get the question/prompt, noting whether it came from the page or from the user
     let question = '';
+    let questionFromPage = false;
+    let template = await getTemplateForSite(window.location.hostname);
+    if (options.templateId) {
+      template = (await getPromptTemplates()).find(candidate => candidate.id === options.templateId) || template;
+    }
+    
+    const forcePrompt = !!options.forcePrompt;
+    const wantOptions = !!options.wantOptions;
     
-    if (settings.autoDetect) {
-      // Try to detect the question from the form
-      question = await detectFormQuestion(activeElement);
+    // Choice fields are answered by picking from their options rather than typing
+    const choiceField = isChoiceField(activeElement) ? await readChoiceField(activeElement) : null;
+    
+    if (settings.autoDetect && !forcePrompt) {
+      // Try to detect the question from the form. A choice group's question is its legend or
+      // group label, since the label next to a radio or checkbox is just one option.
+      question = (choiceField && choiceField.label) || await detectFormQuestion(activeElement);
+      questionFromPage = !!question;
     }
     
     // If no question detected or auto-detect is off, ask the user
     if (!question) {
-      question = await promptForQuestion();
+      const templates = await getPromptTemplates();
+      const input = await showPromptModal({ templates, selectedTemplateId: template.id });
+      if (input) {
+        question = input.text;
+        template = templates.find(candidate => candidate.id === input.templateId) || template;
+      }
     }
     
     if (!question) {
-      // Reset processing state
-      isProcessing = false;
-      claudeButton.classList.remove('processing');
-      spinner.classList.add('hidden');
-      claudeButton.title = 'Ask Claude to complete this field';
-      currentConversationUrl = null;
       return; // User cancelled
     }
     
-    // Capture the current page context
-    const pageContext = await capturePageContext();
+    const targetElement = activeElement;
+    const reviewBeforeInsert = settings.reviewBeforeInsert !== false;
+    const existingText = getElementValue(targetElement);
+    
+    // Capture as much of the page as the site's rule allows
+    const pageContext = await capturePageContext(getPageContextOptions());
+    if (fill.isCancelled()) {
+      return;
+    }
+    const pageHasInstructions = warnAboutPageInstructions(pageContext);
+    
+    // Text read from the page is masked like the rest of the page before it goes anywhere
+    const redaction = await getRedactionSettings();
+    const promptQuestion = questionFromPage ? applyRedaction(question, redaction) : question;
     
-    // Generate a descriptive title based on the question
-    const conversationTitle = generateConversationTitle(question);
+    // Generate a descriptive title based on the question. The title stays in the chat list.
+    const conversationTitle = generateConversationTitle(promptQuestion);
     
-    // Create an enhanced prompt with context
-    const enhancedPrompt = createEnhancedPrompt(question, pageContext);
+    // Ground the answer in the facts the user supplied about themselves
+    const fieldLabel = applyRedaction(getFieldLabel(targetElement), redaction);
+    const profile = await getKnowledgeProfile();
     
-    // Show notification based on whether screenshot was captured
-    if (pageContext && pageContext.screenshotData) {
-      showNotification('📸 Using page screenshot to help Claude understand context');
-    } else {
-      showNotification('Using text context to help Claude understand the form');
+    if (choiceField) {
+      const response = await answerChoiceField(choiceField, promptQuestion, pageContext, {
+        profileText: formatProfileForPrompt(profile, `${question} ${choiceField.label}`),
+        questionFromPage,
+        redaction,
+        projectId: settings.defaultProject,
+        conversationTitle
+      });
+      if (response) {
+        answeredResponses.push(response);
+      }
+      return;
     }
     
-    // Send the enhanced question to Claude via background script
-    const response = await sendMessageToBackground({
-      action: 'askClaude',
-      question: enhancedPrompt,
-      projectId: settings.defaultProject,
-      conversationTitle: conversationTitle
+    // Limits such as maxlength, input type and "max N words" hints shape the answer
+    const constraints = getFieldConstraints(targetElement, `${fieldLabel} ${promptQuestion}`);
+    
+    // Create an enhanced prompt with context, using the chosen template
+    const enhancedPrompt = createEnhancedPrompt(promptQuestion, pageContext, {
+      template,
+      questionFromPage,
+      fieldLabel,
+      // What the field holds can be as sensitive as the rest of the page
+      existingValue: applyRedaction(existingText, redaction),
+      profileText: formatProfileForPrompt(profile, `${question} ${fieldLabel}`),
+      requirements: describeFieldConstraints(constraints)
     });
     
-    if (response && response.answer) {
-      // Store the conversation URL for potential opening
-      if (response.chatUrl) {
-        currentConversationUrl = response.chatUrl;
+    // Show notification based on whether screenshot was captured, unless the warning is showing
+    if (!pageHasInstructions) {
+      if (pageContext && pageContext.screenshotData) {
+        showNotification('📸 Using page screenshot to help Claude understand context');
+      } else {
+        showNotification('Using text context to help Claude understand the form');
+      }
+    }
+    
+    // Ask Claude, showing the answer in a review panel (or typing it straight into
+    // the field when review is turned off) until the user settles on an answer.
+    // Options always go to a picker, since they arrive as one structured response.
+    let answerToInsert = null;
+    while (true) {
+      let panel = null;
+      if (wantOptions) {
+        panel = createOptionsPanel(targetElement, cancelProcessing);
+      } else if (reviewBeforeInsert) {
+        panel = createReviewPanel(targetElement, existingText, cancelProcessing);
+      }
+      
+      const response = await requestAnswer({
+        question: wantOptions ? createOptionsPrompt(enhancedPrompt) : enhancedPrompt,
+        element: targetElement,
+        screenshotData: pageContext.screenshotData,
+        projectId: settings.defaultProject,
+        conversationTitle: conversationTitle
+      }, wantOptions ? null : (partialAnswer) => {
+        if (panel) {
+          panel.update(partialAnswer);
+        } else if (document.body.contains(targetElement)) {
+          insertTextIntoElement(targetElement, partialAnswer, { streaming: true });
+        }
+      });
+      
+      if (response && response.cancelled) {
+        if (panel) panel.close();
+        restoreStreamedField(targetElement, existingText);
+        break;
+      }
+      
+      // Timeouts and dropped connections can stop an answer part way through
+      if (!response || response.error || !response.answer) {
+        if (panel) panel.close();
+        restoreStreamedField(targetElement, existingText);
+        showNotification(response && response.error ? 'Error: ' + response.error : 'Error getting response from Claude. Please try again.');
+        break;
+      }
+      
+      if (wantOptions) {
+        answeredResponses.push(response);
+        
+        // Drop options the field would reject, as long as some are left
+        const options = parseAnswerOptions(response.answer).map(option => formatAnswerForField(option, constraints));
+        const validOptions = options.filter(option => validateFieldAnswer(option, constraints).length === 0);
+        if (validOptions.length > 0) {
+          options.splice(0, options.length, ...validOptions);
+        }
+        
+        if (options.length === 0) {
+          panel.close();
+          showNotification('Error: Claude did not return options in the expected format');
+          break;
+        }
+        panel.finish(options);
+      } else {
+        // Make sure the field will accept the answer, asking Claude to fix it if not
+        const checkedResponse = await conformAnswerToField(response, targetElement, constraints, settings.defaultProject);
+        answeredResponses.push(checkedResponse);
+        
+        if (fill.isCancelled()) {
+          if (panel) panel.close();
+          restoreStreamedField(targetElement, existingText);
+          break;
+        }
+        
+        if (!panel) {
+          answerToInsert = checkedResponse.answer;
+          break;
+        }
+        panel.finish(checkedResponse.answer);
       }
       
+      // Cancelling while the answer waits for review discards it
+      const decision = await Promise.race([panel.decision, fill.cancelled.then(() => ({ action: 'discard' }))]);
+      panel.close();
+      
+      if (decision.action === 'regenerate') {
+        continue;
+      }
+      if (decision.action === 'accept' || decision.action === 'pick') {
+        answerToInsert = decision.text;
+      }
+      break;
+    }
+    
+    if (answerToInsert !== null) {
       // Make sure the element is still active and in the DOM
-      if (document.body.contains(activeElement)) {
-        // Ensure active element is focused again before inserting text
-        activeElement.focus();
+      if (document.body.contains(targetElement)) {
+        // Ensure the element is focused again before inserting text
+        targetElement.focus();
         
         // Small delay to ensure focus is complete
         await new Promise(resolve => setTimeout(resolve, 50));
         
-        // Insert the answer into the active element
-        insertTextIntoElement(activeElement, response.answer);
+        // Insert the answer into the element
+        insertTextIntoElement(targetElement, answerToInsert);
         
         // Show success notification
         showNotification('Claude has filled the field successfully!');
+        
+        // Offer follow-up instructions in the same conversation
+        refineFinished = startRefineSession(targetElement, answeredResponses[answeredResponses.length - 1]);
       } else {
         showNotification('Error: The form field is no longer available');
       }
-    } else {
-      showNotification('Error getting response from Claude. Please try again.');
     }
   } catch (error) {
     console.error('Error getting Claude response:', error);
     showNotification('Error: ' + (error.message || 'Could not get response from Claude'));
   } finally {
     // Reset processing state
-    isProcessing = false;
+    setButtonProcessing(false);
+    
+    // Once the answers have been inserted or discarded, and refined, their conversations can be tidied up
+    Promise.resolve(refineFinished).then(() => answeredResponses.forEach(releaseConversation));
+  }
+}
+
+// Format an answer for its field and check it against the field's constraints. While it breaks
+// them, ask Claude to correct it in the same conversation, up to MAX_CORRECTION_ATTEMPTS times.
+// Returns the response with the final answer.
+async function conformAnswerToField(response, element, constraints, projectId) {
+  let checked = { ...response, answer: formatAnswerForField(response.answer, constraints) };
+  let problems = validateFieldAnswer(checked.answer, constraints);
+  
+  for (let attempt = 0; attempt < MAX_CORRECTION_ATTEMPTS && problems.length > 0 && checked.conversationId; attempt++) {
+    showNotification('Adjusting the answer to fit the field...');
+    
+    const corrected = await requestAnswer({
+      question: createCorrectionPrompt(problems),
+      element,
+      projectId,
+      followUp: {
+        conversationId: checked.conversationId,
+        parentMessageUuid: checked.messageUuid
+      }
+    });
+    
+    if (!corrected || corrected.error || !corrected.answer) {
+      break;
+    }
+    
+    checked = { ...checked, answer: formatAnswerForField(corrected.answer, constraints), messageUuid: corrected.messageUuid };
+    problems = validateFieldAnswer(checked.answer, constraints);
+  }
+  
+  if (problems.length > 0) {
+    showNotification('Warning: ' + problems[0]);
+  }
+  
+  return checked;
+}
+
+// Ask Claude to pick from a choice field's options and select them.
+// Returns Claude's response, or null if there was none.
+async function answerChoiceField(choiceField, question, pageContext, options) {
+  // Options are masked like the rest of the page; Claude's choices are matched back to the
+  // unmasked options below
+  const choices = choiceField.options.map(option => applyRedaction(option.label, options.redaction));
+  const response = await requestAnswer({
+    question: createChoicePrompt(question, pageContext, {
+      choices,
+      multiple: choiceField.multiple,
+      profileText: options.profileText,
+      questionFromPage: options.questionFromPage
+    }),
+    element: choiceField.element,
+    screenshotData: pageContext.screenshotData,
+    projectId: options.projectId,
+    conversationTitle: options.conversationTitle
+  });
+  
+  if (response && response.cancelled) {
+    return null;
+  }
+  
+  if (!response || response.error || !response.answer) {
+    showNotification(response && response.error ? 'Error: ' + response.error : 'Error getting response from Claude. Please try again.');
+    return null;
+  }
+  
+  const parsed = parseJsonAnswer(response.answer);
+  const answers = parsed && parsed.choices !== undefined ? [].concat(parsed.choices).map(choice => {
+    const index = choices.indexOf(choice);
+    return index === -1 ? choice : choiceField.options[index].label;
+  }) : [];
+  const chosen = await applyChoiceAnswer(choiceField, answers);
+  
+  if (chosen.length > 0) {
+    showNotification(`Claude chose: ${chosen.join(', ')}`);
+  } else if (choiceField.multiple && parsed && answers.length === 0) {
+    showNotification('Claude left all options unselected');
+  } else {
+    showNotification("Error: Claude's answer didn't match any of the options");
+  }
+  
+  return response;
+}
+
+// Read the alternatives out of an answer to an options prompt
+function parseAnswerOptions(answer) {
+  const parsed = parseJsonAnswer(answer);
+  if (!parsed || !Array.isArray(parsed.options)) {
+    return [];
+  }
+  
+  return parsed.options
+    .filter(option => typeof option === 'string' && option.trim())
+    .map(option => option.trim());
+}
+
+// Show the refine panel under a filled field. Each instruction is sent as a reply in the
+// conversation that produced the answer, and the refined answer replaces the field's content.
+// Resolves when the panel is closed.
+function startRefineSession(element, response) {
+  if (!response || !response.conversationId) {
+    return Promise.resolve();
+  }
+  
+  let lastResponse = response;
+  
+  const panel = createRefinePanel(element, async (instruction) => {
+    if (!document.body.contains(element)) {
+      showNotification('Error: The form field is no longer available');
+      panel.close();
+      return;
+    }
+    
+    try {
+      const settings = await chrome.storage.sync.get(['defaultProject']);
+      const redaction = await getRedactionSettings();
+      const refined = await requestAnswer({
+        question: createFollowUpPrompt(instruction, applyRedaction(getElementValue(element), redaction)),
+        element,
+        projectId: settings.defaultProject,
+        followUp: {
+          conversationId: lastResponse.conversationId,
+          parentMessageUuid: lastResponse.messageUuid
+        }
+      }, (partialAnswer) => {
+        if (document.body.contains(element)) {
+          insertTextIntoElement(element, partialAnswer, { streaming: true });
+        }
+      });
+      
+      if (refined && refined.cancelled) {
+        return;
+      }
+      
+      if (!refined || refined.error || !refined.answer) {
+        showNotification(refined && refined.error ? 'Error: ' + refined.error : 'Error getting response from Claude. Please try again.');
+        return;
+      }
+      
+      lastResponse = { ...lastResponse, messageUuid: refined.messageUuid };
+      if (document.body.contains(element)) {
+        insertTextIntoElement(element, refined.answer);
+        showNotification('Claude has refined the answer');
+      }
+    } catch (error) {
+      console.error('Error refining answer:', error);
+      showNotification('Error: ' + (error.message || 'Could not get response from Claude'));
+    }
+  });
+  
+  activeRefinePanel = panel;
+  panel.closed.then(() => {
+    if (activeRefinePanel === panel) {
+      activeRefinePanel = null;
+    }
+  });
+  
+  return panel.closed;
+}
+
+// Identify the page and form a field belongs to, so fills on the same form can share a conversation
+function getConversationKey(element) {
+  let key = window.location.origin + window.location.pathname;
+  
+  const form = element && element.closest('form');
+  if (form) {
+    const formId = form.id || form.getAttribute('name') || form.getAttribute('action') ||
+                   String([...document.forms].indexOf(form));
+    key += '#' + formId;
+  }
+  
+  return key;
+}
+
+// Send a question to Claude via the background script, passing streamed partial answers to onPartial.
+// request.element is the field the answer is for; fills on its form can share a conversation.
+// Unless the request is quiet, a progress toast offers to cancel just this request while it runs.
+// A cancelled request resolves to { cancelled: true }.
+async function requestAnswer(request, onPartial = null) {
+  const requestId = request.requestId || generateRequestId();
+  const streamId = onPartial ? generateRequestId() : null;
+  if (streamId) {
+    streamHandlers.set(streamId, onPartial);
+  }
+  
+  let progressToast = null;
+  if (!request.quiet) {
+    pendingRequestIds.add(requestId);
+    progressToast = showProgressToast(request.progressMessage || 'Asking Claude...', () => {
+      cancelClaudeRequest(requestId);
+      showNotification('Cancelled');
+    });
+  }
+  
+  try {
+    // Chats shared by a page are named after it, and names stay in the chat list
+    const redaction = await getRedactionSettings();
+    return await sendMessageToBackground({
+      action: 'askClaude',
+      question: request.question,
+      screenshotData: request.screenshotData,
+      projectId: request.projectId,
+      conversationTitle: request.conversationTitle,
+      conversationKey: getConversationKey(request.element),
+      pageTitle: applyRedaction(document.title, redaction),
+      followUp: request.followUp,
+      requestId: requestId,
+      ephemeral: request.ephemeral,
+      timeout: request.timeout,
+      streamId: streamId
+    });
+  } finally {
+    pendingRequestIds.delete(requestId);
+    if (progressToast) {
+      progressToast.close();
+    }
+    if (streamId) {
+      streamHandlers.delete(streamId);
+    }
+  }
+}
+
+// Make the running fill cancellable from the Claude button. Returns isCancelled, to check
+// between steps, and a cancelled promise that resolves on cancel.
+function startCancellableFill() {
+  let cancelled = false;
+  let resolveCancelled;
+  const cancelledPromise = new Promise(resolve => {
+    resolveCancelled = resolve;
+  });
+  
+  const cancel = () => {
+    cancelled = true;
+    cancelPendingRequests();
+    resolveCancelled();
+  };
+  cancelCurrentFill = cancel;
+  
+  return {
+    isCancelled: () => cancelled,
+    cancelled: cancelledPromise
+  };
+}
+
+// Cancel what the Claude button is busy with: the running fill, or else every request the
+// user is still waiting on
+function cancelProcessing() {
+  if (cancelCurrentFill) {
+    cancelCurrentFill();
+  } else {
+    cancelPendingRequests();
+  }
+  showNotification('Cancelled');
+}
+
+// Cancel every request to Claude the user is still waiting on
+function cancelPendingRequests() {
+  pendingRequestIds.forEach(cancelClaudeRequest);
+}
+
+// Ask the background to abort a request; its requestAnswer call then resolves to { cancelled: true }
+function cancelClaudeRequest(requestId) {
+  sendMessageToBackground({ action: 'cancelRequest', requestId }).catch(error => {
+    // The extension may have been reloaded, which ends its requests anyway
+    console.warn('Error cancelling request:', error);
+  });
+}
+
+// Let the background clean up a conversation the extension created, once its answer has been used.
+// What happens to it (kept, deleted or archived) depends on the after-fill setting.
+function releaseConversation(response) {
+  if (response && response.newConversationCreated && response.conversationId) {
+    sendMessageToBackground({ action: 'finishConversation', conversationId: response.conversationId })
+      .catch(error => console.error('Error finishing conversation:', error));
+  }
+}
+
+// Send the selected text in the focused field to Claude and replace just that selection
+async function rewriteSelection(command, language) {
+  const selection = captureEditableSelection();
+  if (!selection || !selection.text.trim()) {
+    showNotification('Select some text in a form field first');
+    return;
+  }
+  
+  if (!isFieldAllowedBySiteRule(selection.element, siteRule)) {
+    showNotification('Claude is turned off for this field');
+    return;
+  }
+  
+  const action = REWRITE_ACTIONS[command] || REWRITE_ACTIONS.rewrite;
+  
+  if (command === 'translate' && !language) {
+    language = await promptForQuestion('Translate to which language?', 'e.g. Dutch');
+    if (!language) {
+      return; // User cancelled
+    }
+  }
+  
+  try {
+    const settings = await chrome.storage.sync.get(['defaultProject']);
+    // The title stays in the chat list, so it is masked even though the selection itself is sent
+    const redaction = await getRedactionSettings();
+    const response = await requestAnswer({
+      question: createRewritePrompt(command, selection.text, { language }),
+      element: selection.element,
+      projectId: settings.defaultProject,
+      conversationTitle: generateConversationTitle(`${action.label}: ${applyRedaction(selection.text, redaction)}`),
+      progressMessage: `Asking Claude to ${action.label.toLowerCase()} the selection...`
+    });
+    
+    if (response && response.cancelled) {
+      return;
+    }
+    
+    if (!response || response.error || !response.answer) {
+      showNotification(response && response.error ? 'Error: ' + response.error : 'Error getting response from Claude. Please try again.');
+      return;
+    }
+    
+    if (replaceEditableSelection(selection, response.answer.trim())) {
+      showNotification('Claude has updated the selected text');
+    } else {
+      showNotification('Error: The selected text changed while Claude was working');
+    }
+    
+    releaseConversation(response);
+  } catch (error) {
+    console.error('Error rewriting selection:', error);
+    showNotification('Error: ' + (error.message || 'Could not get response from Claude'));
+  }
+}
+
+// Capture the selected text in the focused field, along with enough information to replace it later
+function captureEditableSelection() {
+  const element = document.activeElement;
+  
+  if (element && (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') &&
+      typeof element.selectionStart === 'number') {
+    return {
+      element,
+      start: element.selectionStart,
+      end: element.selectionEnd,
+      text: element.value.substring(element.selectionStart, element.selectionEnd)
+    };
+  }
+  
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) {
+    return null;
+  }
+  
+  const range = selection.getRangeAt(0);
+  const container = range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE
+    ? range.commonAncestorContainer
+    : range.commonAncestorContainer.parentElement;
+  const editableRoot = container && container.closest('[contenteditable="true"], [contenteditable=""]');
+  if (!editableRoot) {
+    return null;
+  }
+  
+  return {
+    element: editableRoot,
+    range: range.cloneRange(),
+    text: selection.toString()
+  };
+}
+
+// Replace a previously captured selection with new text. Returns false if the selection no longer matches.
+function replaceEditableSelection(selection, text) {
+  const element = selection.element;
+  if (!document.body.contains(element)) {
+    return false;
+  }
+  
+  recordFieldVersion(element, 'Before rewrite');
+  element.focus();
+  
+  if (selection.range) {
+    if (selection.range.toString() !== selection.text) {
+      return false;
+    }
+    
+    const windowSelection = window.getSelection();
+    windowSelection.removeAllRanges();
+    windowSelection.addRange(selection.range);
+    
+    // insertText goes through the editor's own input handling and keeps native undo working
+    if (!document.execCommand('insertText', false, text)) {
+      selection.range.deleteContents();
+      selection.range.insertNode(document.createTextNode(text));
+      element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    }
+  } else {
+    if (element.value.substring(selection.start, selection.end) !== selection.text) {
+      return false;
+    }
+    
+    element.setSelectionRange(selection.start, selection.end);
+    if (!document.execCommand('insertText', false, text)) {
+      element.setRangeText(text, selection.start, selection.end, 'end');
+      element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    }
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+  
+  recordFieldVersion(element, 'Claude rewrite');
+  return true;
+}
+
+function setButtonProcessing(processing) {
+  isProcessing = processing;
+  const spinner = claudeButton.querySelector('.claude-button-processing-spinner');
+  if (processing) {
+    claudeButton.classList.add('processing');
+    spinner.classList.remove('hidden');
+    claudeButton.title = 'Click to cancel';
+  } else {
+    cancelCurrentFill = null;
     claudeButton.classList.remove('processing');
-    const spinner = claudeButton.querySelector('.claude-button-processing-spinner');
     spinner.classList.add('hidden');
-    claudeButton.title = 'Ask Claude to complete this field';
+    claudeButton.title = 'Ask Claude to complete this field (Shift+click to choose a template, Alt+click for 3 options)';
+  }
+}
+
+// Fill every empty field in the form (or page region) around the focused field with one request
+async function fillAllFields() {
+  if (isProcessing) {
+    showNotification('Claude is already working on a field');
+    return;
+  }
+  
+  const region = getFormRegion(activeElement);
+  
+  // Text fields and unanswered choice fields that the site's rule allows, in the order they appear on the page
+  const fields = [...collectFillableFields(region), ...collectChoiceFields(region)]
+    .filter(field => isFieldAllowedBySiteRule(field, siteRule))
+    .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+  
+  if (fields.length === 0) {
+    showNotification('No empty fields found to fill');
+    return;
+  }
+  
+  try {
+    setButtonProcessing(true);
+    const fill = startCancellableFill();
     
-    // Clear conversation URL after a delay
-    setTimeout(() => {
-      currentConversationUrl = null;
-    }, 10000); // Keep the URL for 10 seconds after processing completes
+    // Page context is captured around the active element, so make sure there is one
+    if (!activeElement) {
+      activeElement = fields[0];
+    }
+    
+    // Describe each field by the question it asks, and choice fields by their options too
+    const fieldDescriptions = [];
+    const fieldConstraints = [];
+    const choiceFields = [];
+    for (let i = 0; i < fields.length; i++) {
+      const choiceField = isChoiceField(fields[i]) ? await readChoiceField(fields[i]) : null;
+      choiceFields.push(choiceField);
+      
+      const question = (choiceField && choiceField.label) || await detectFormQuestion(fields[i]) ||
+                       fields[i].getAttribute('name') || `Field ${i + 1}`;
+      
+      if (choiceField) {
+        fieldConstraints.push(null);
+        fieldDescriptions.push({
+          id: i + 1,
+          question,
+          type: choiceField.kind === 'toggle' ? 'yes/no' : 'choice',
+          options: choiceField.options.map(option => option.label),
+          multiple: choiceField.multiple
+        });
+      } else {
+        const constraints = getFieldConstraints(fields[i], question);
+        fieldConstraints.push(constraints);
+        fieldDescriptions.push({
+          id: i + 1,
+          question,
+          type: constraints.type,
+          requirements: describeFieldConstraints(constraints)
+        });
+      }
+    }
+    
+    const settings = await chrome.storage.sync.get(['defaultProject']);
+    const pageContext = await capturePageContext(getPageContextOptions());
+    if (fill.isCancelled()) {
+      return;
+    }
+    warnAboutPageInstructions(pageContext);
+    const profile = await getKnowledgeProfile();
+    const profileText = formatProfileForPrompt(profile, fieldDescriptions.map(field => field.question).join(' '));
+    
+    // Labels and options are masked like the rest of the page; choice answers are matched back
+    // to the unmasked options below
+    const redaction = await getRedactionSettings();
+    const promptFields = fieldDescriptions.map(field => ({
+      ...field,
+      question: applyRedaction(field.question, redaction),
+      options: field.options && field.options.map(option => applyRedaction(option, redaction))
+    }));
+    const prompt = createBulkFillPrompt(promptFields, pageContext, profileText);
+    
+    const response = await requestAnswer({
+      question: prompt,
+      element: fields[0],
+      screenshotData: pageContext.screenshotData,
+      projectId: settings.defaultProject,
+      conversationTitle: generateConversationTitle(`All fields: ${applyRedaction(document.title, redaction)}`),
+      progressMessage: `Asking Claude to fill ${fields.length} field${fields.length === 1 ? '' : 's'}...`
+    });
+    
+    if (response && response.cancelled) {
+      return;
+    }
+    
+    if (!response || response.error) {
+      showNotification('Error: ' + (response && response.error ? response.error : 'Could not get response from Claude'));
+      return;
+    }
+    
+    const parsed = parseJsonAnswer(response.answer);
+    if (!parsed || !parsed.answers) {
+      showNotification('Error: Claude did not return answers in the expected format');
+      return;
+    }
+    
+    // Map answers back to their fields, one at a time so each field gets its own focus
+    let filledCount = 0;
+    let invalidCount = 0;
+    for (let i = 0; i < fields.length; i++) {
+      const answer = parsed.answers[String(i + 1)];
+      if (!document.body.contains(fields[i])) {
+        continue;
+      }
+      
+      if (choiceFields[i]) {
+        const choices = answer ? [].concat(answer).map(choice => {
+          const index = promptFields[i].options.indexOf(choice);
+          return index === -1 ? choice : fieldDescriptions[i].options[index];
+        }) : [];
+        if (choices.length > 0 && (await applyChoiceAnswer(choiceFields[i], choices)).length > 0) {
+          filledCount++;
+        }
+        continue;
+      }
+      
+      if (typeof answer === 'string' && answer.trim()) {
+        const formattedAnswer = formatAnswerForField(answer, fieldConstraints[i]);
+        if (validateFieldAnswer(formattedAnswer, fieldConstraints[i]).length > 0) {
+          invalidCount++;
+        }
+        insertTextIntoElement(fields[i], formattedAnswer);
+        filledCount++;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+    
+    showNotification(`Claude filled ${filledCount} of ${fields.length} fields` +
+      (invalidCount > 0 ? ` (${invalidCount} may not meet the field's requirements)` : ''));
+    releaseConversation(response);
+  } catch (error) {
+    console.error('Error filling all fields:', error);
+    showNotification('Error: ' + (error.message || 'Could not get response from Claude'));
+  } finally {
+    setButtonProcessing(false);
+  }
+}
+
+// Find the form, or failing that the closest page region, that contains the element
+function getFormRegion(element) {
+  if (!element) {
+    return document.querySelector('form') || document.body;
+  }
+  
+  return element.closest('form, [role="form"]') ||
+         element.closest('main, [role="main"], section, article') ||
+         document.body;
+}
+
+// Collect the visible, editable and still empty fields inside a region
+function collectFillableFields(region) {
+  const skippedInputTypes = ['password', 'file', 'image', 'reset', 'color', 'range', 'hidden'];
+  
+  const candidates = [...region.querySelectorAll(FORM_ELEMENTS.join(', '))].filter(element => {
+    if (element.disabled || element.readOnly) return false;
+    if (element.tagName === 'INPUT' && skippedInputTypes.includes(element.type)) return false;
+    if (element.closest('.claude-form-assistant-modal')) return false;
+    if (element.getClientRects().length === 0) return false;
+    // Choice fields are collected separately, one per group. Combobox inputs also take
+    // typed text, so they stay here.
+    if (isChoiceField(element) && !(element.tagName === 'INPUT' && element.matches('[role="combobox"]'))) return false;
+    return !getElementValue(element).trim();
+  });
+  
+  // Editors often nest matching elements (e.g. a contenteditable inside .ProseMirror);
+  // keep only the outermost one
+  return candidates.filter(element => 
+    !candidates.some(other => other !== element && other.contains(element))
+  );
+}
+
+// Read the current text of a form field or editable element
+function getElementValue(element) {
+  if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+    return element.value || '';
   }
+  
+  return element.innerText || element.textContent || '';
+}
+
+// Get a short label for a field, used to fill the {{fieldLabel}} template placeholder
+function getFieldLabel(element) {
+  if (element.id) {
+    const label = document.querySelector(`label[for="${CSS.escape(element.id)}"]`);
+    const labelText = label ? getReadableText(label).trim() : '';
+    if (labelText) {
+      return labelText;
+    }
+  }
+  
+  const wrappingLabel = element.closest('label');
+  const wrappingLabelText = wrappingLabel ? getReadableText(wrappingLabel).trim() : '';
+  if (wrappingLabelText) {
+    return wrappingLabelText;
+  }
+  
+  const attribute = element.getAttribute('aria-label') ||
+                    element.getAttribute('placeholder') ||
+                    element.getAttribute('name') ||
+                    '';
+  return attribute.replace(INVISIBLE_CHARACTERS, '');
 }
 
 async function detectFormQuestion(element) {
@@ -575,8 +1433,8 @@ async function detectFormQuestion(element) {
   // Check for label with 'for' attribute
   if (element.id) {
     const label = document.querySelector(`label[for="${element.id}"]`);
-    if (label && label.textContent.trim()) {
-      question = label.textContent.trim();
+    if (label) {
+      question = getReadableText(label).trim();
     }
   }
   
@@ -596,8 +1454,10 @@ async function detectFormQuestion(element) {
     let parent = element.parentElement;
     while (parent && !question) {
       const labelElement = parent.querySelector('label, .label, .form-label, h1, h2, h3, h4, h5, h6');
-      if (labelElement && labelElement.textContent.trim()) {
-        question = labelElement.textContent.trim();
+      if (labelElement) {
+        question = getReadableText(labelElement).trim();
+      }
+      if (question) {
         break;
       }
       parent = parent.parentElement;
@@ -610,8 +1470,8 @@ async function detectFormQuestion(element) {
   if (!question) {
     let prevElement = element.previousElementSibling;
     while (prevElement && !question) {
-      if (prevElement.textContent.trim()) {
-        question = prevElement.textContent.trim();
+      question = getReadableText(prevElement).trim();
+      if (question) {
         break;
       }
       prevElement = prevElement.previousElementSibling;
@@ -625,23 +1485,38 @@ async function detectFormQuestion(element) {
     if (container) {
       const headings = container.querySelectorAll('h1, h2, h3, h4, h5, h6, .prompt, .question');
       if (headings.length > 0) {
-        question = headings[0].textContent.trim();
+        question = getReadableText(headings[0]).trim();
       }
     }
   }
   
-  return question;
+  // Attributes can't hide text with styles, but can with invisible characters
+  return question.replace(INVISIBLE_CHARACTERS, '');
+}
+
+async function promptForQuestion(heading = 'Enter your question for Claude', placeholder = 'What would you like Claude to help with?') {
+  const input = await showPromptModal({ heading, placeholder });
+  return input ? input.text : '';
 }
 
-async function promptForQuestion() {
+// Show a modal asking for text, optionally with a prompt template picker.
+// Resolves to { text, templateId }, or null if the user cancelled.
+async function showPromptModal(options = {}) {
+  const heading = options.heading || 'Enter your question for Claude';
+  const placeholder = options.placeholder || 'What would you like Claude to help with?';
+  
   return new Promise(resolve => {
     // Create a modal to ask for the question
     const modal = document.createElement('div');
     modal.className = 'claude-form-assistant-modal';
     modal.innerHTML = `
       <div class="claude-form-assistant-modal-content">
-        <h3>Enter your question for Claude</h3>
-        <textarea placeholder="What would you like Claude to help with?" rows="4"></textarea>
+        <h3></h3>
+        <textarea rows="4"></textarea>
+        <div class="claude-form-assistant-modal-template hidden">
+          <label>Template:</label>
+          <select></select>
+        </div>
         <div class="claude-form-assistant-modal-buttons">
           <button class="claude-form-assistant-cancel-button">Cancel</button>
           <button class="claude-form-assistant-submit-button">Submit</button>
@@ -649,52 +1524,124 @@ async function promptForQuestion() {
       </div>
     `;
     
+    modal.querySelector('h3').textContent = heading;
+    
+    // Offer the prompt templates if we were given any
+    const templateSelect = modal.querySelector('select');
+    if (options.templates && options.templates.length > 0) {
+      options.templates.forEach(template => {
+        const option = document.createElement('option');
+        option.value = template.id;
+        option.textContent = template.name;
+        templateSelect.appendChild(option);
+      });
+      templateSelect.value = options.selectedTemplateId || options.templates[0].id;
+      modal.querySelector('.claude-form-assistant-modal-template').classList.remove('hidden');
+    }
+    
     // Add the modal to the page
     document.body.appendChild(modal);
     
     // Focus the textarea
     const textarea = modal.querySelector('textarea');
+    textarea.placeholder = placeholder;
     textarea.focus();
     
+    function submit() {
+      const text = textarea.value.trim();
+      document.body.removeChild(modal);
+      resolve(text ? { text, templateId: templateSelect.value || null } : null);
+    }
+    
     // Handle cancel button
     const cancelButton = modal.querySelector('.claude-form-assistant-cancel-button');
     cancelButton.addEventListener('click', () => {
       document.body.removeChild(modal);
-      resolve('');
+      resolve(null);
     });
     
     // Handle submit button
     const submitButton = modal.querySelector('.claude-form-assistant-submit-button');
-    submitButton.addEventListener('click', () => {
-      const question = textarea.value.trim();
-      document.body.removeChild(modal);
-      resolve(question);
-    });
+    submitButton.addEventListener('click', submit);
     
     // Handle Enter key in textarea
     textarea.addEventListener('keydown', (event) => {
       if (event.key === 'Enter' && !event.shiftKey) {
         event.preventDefault();
-        const question = textarea.value.trim();
-        document.body.removeChild(modal);
-        resolve(question);
+        submit();
       }
     });
   });
 }
 
-function insertTextIntoElement(element, text) {
+// Put back what a field had before an answer started streaming into it, when the answer was
+// cancelled or failed part way. Rich and code editors only ever get the final answer, so they
+// still have their text.
+function restoreStreamedField(element, text) {
+  if (!streamingElements.has(element)) {
+    return;
+  }
+  streamingElements.delete(element);
+  
+  const editor = getEditorAdapter(element);
+  if (!editor || editor.name === 'contenteditable') {
+    insertTextIntoElement(element, text, { recordHistory: false, plainText: true });
+  }
+}
+
+function insertTextIntoElement(element, text, options = {}) {
   if (!element) return;
   
+  // While streaming, just replace the visible text on every chunk; the final
+  // insert runs the full focus and event sequence below
+  if (options.streaming) {
+    if (!streamingElements.has(element)) {
+      streamingElements.add(element);
+      recordFieldVersion(element, 'Before Claude');
+    }
+    // Rich and code editors would fight every DOM change, so they only get the final answer
+    const editor = getEditorAdapter(element);
+    if (editor && editor.name !== 'contenteditable') {
+      return;
+    }
+    if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+      element.value = text;
+    } else if (editor) {
+      editor.root.textContent = text;
+    }
+    element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    return;
+  }
+  
+  // Keep what was in the field so the fill can be undone (restores pass recordHistory: false)
+  const recordHistory = options.recordHistory !== false;
+  if (recordHistory) {
+    if (streamingElements.has(element)) {
+      streamingElements.delete(element);
+    } else {
+      recordFieldVersion(element, 'Before Claude');
+    }
+  }
+  
   // Make sure the element is active and focused first
   element.focus();
   
+  // Rich-text and code editors (and other contenteditable elements) get the text through
+  // their own input handling, with Claude's Markdown turned into formatting where supported
+  const editor = getEditorAdapter(element);
+  
   // Give the browser a moment to properly focus the element
-  setTimeout(() => {
+  setTimeout(async () => {
     // Handle different types of elements
-    if (element.tagName === 'TEXTAREA' || 
-        (element.tagName === 'INPUT' && element.type === 'text')) {
-      // For textarea and text inputs
+    if (editor) {
+      try {
+        await insertIntoEditor(editor, text, { plainText: options.plainText });
+      } catch (error) {
+        console.error('Error inserting into editor:', error);
+      }
+    } else if (element.tagName === 'TEXTAREA' || 
+        (element.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(element.type))) {
+      // For textarea and text-like inputs (email, number, date, ...)
       element.value = text;
       
       // Trigger both input and change events to notify all listeners
@@ -707,22 +1654,6 @@ function insertTextIntoElement(element, text) {
       // Trigger a keyup event as well for frameworks that listen to that
       const keyupEvent = new KeyboardEvent('keyup', { bubbles: true });
       element.dispatchEvent(keyupEvent);
-      
-    } else if (element.getAttribute('contenteditable') === 'true') {
-      // For contenteditable elements
-      element.innerHTML = text;
-      
-      // Trigger input event
-      const inputEvent = new Event('input', { bubbles: true, composed: true });
-      element.dispatchEvent(inputEvent);
-      
-      // Set cursor position to end
-      const range = document.createRange();
-      range.selectNodeContents(element);
-      range.collapse(false);
-      const selection = window.getSelection();
-      selection.removeAllRanges();
-      selection.addRange(range);
     }
     
     // For elements with specific classes or attributes (to handle different frameworks)
@@ -739,9 +1670,134 @@ function insertTextIntoElement(element, text) {
       // Focus again to make sure the element is still active
       element.focus();
     }
+    
+    if (recordHistory) {
+      recordFieldVersion(element, 'Claude answer');
+      if (element === activeElement) {
+        updateHistoryButton(element);
+      }
+    }
   }, 50); // Small delay to ensure focus is complete
 }
 
+// Run a command from a keyboard shortcut (see "commands" in the manifest)
+function runKeyboardCommand(command) {
+  if (command === 'fill-form') {
+    fillAllFields();
+    return;
+  }
+  if (command === 'rewrite-selection') {
+    rewriteSelection('rewrite');
+    return;
+  }
+  
+  if (isProcessing) {
+    showNotification('Claude is already working on a field');
+    return;
+  }
+  
+  const field = getFocusedField();
+  if (!field) {
+    showNotification('Click into a form field first');
+    return;
+  }
+  
+  activeElement = field;
+  positionClaudeButton(field);
+  
+  switch (command) {
+    case 'fill-field':
+      fillActiveField();
+      break;
+    case 'fill-custom-prompt':
+      fillActiveField({ forcePrompt: true });
+      break;
+    case 'open-palette':
+      showCommandPalette(field);
+      break;
+  }
+}
+
+// The form field that has keyboard focus, if Claude may work on it
+function getFocusedField() {
+  const focused = document.activeElement;
+  if (!focused || focused === document.body || focused.closest('.claude-form-assistant-panel, .claude-form-assistant-modal')) {
+    return null;
+  }
+  
+  // In editors, focus often sits on an element nested inside the field
+  const field = FORM_ELEMENTS.some(selector => focused.matches(selector))
+    ? focused
+    : focused.closest(FORM_ELEMENTS.join(', '));
+  
+  return field && isFieldAllowedBySiteRule(field, siteRule) ? field : null;
+}
+
+// Show the command palette with everything Claude can do for a field, and run the chosen command
+async function showCommandPalette(field) {
+  // The palette takes focus, so keep the field's selection for the rewrite commands
+  const selection = window.getSelection();
+  const savedRange = selection.rangeCount > 0 ? selection.getRangeAt(0).cloneRange() : null;
+  
+  const templates = await getPromptTemplates();
+  const shortcuts = (await sendMessageToBackground({ action: 'getCommandShortcuts' }).catch(() => null)) || {};
+  
+  const commands = [
+    { label: 'Fill this field', shortcut: shortcuts['fill-field'], run: () => fillActiveField() },
+    { label: 'Fill with a custom prompt…', shortcut: shortcuts['fill-custom-prompt'], run: () => fillActiveField({ forcePrompt: true }) }
+  ];
+  if (!isChoiceField(field)) {
+    commands.push({ label: `Suggest ${ANSWER_OPTION_COUNT} options`, shortcut: 'Alt+click', run: () => fillActiveField({ wantOptions: true }) });
+  }
+  templates.forEach(template => {
+    commands.push({ label: `Fill using template: ${template.name}`, run: () => fillActiveField({ templateId: template.id }) });
+  });
+  Object.keys(REWRITE_ACTIONS).forEach(command => {
+    commands.push({
+      label: `${REWRITE_ACTIONS[command].label} selected text${command === 'translate' ? '…' : ''}`,
+      shortcut: command === 'rewrite' ? shortcuts['rewrite-selection'] : '',
+      run: () => rewriteSelection(command)
+    });
+  });
+  if (getFieldHistory(field).length > 0) {
+    commands.push({ label: 'Show earlier versions of this field', shortcut: 'Alt+Shift+Z to undo', run: () => showFieldHistoryMenu(field) });
+  }
+  commands.push({ label: 'Fill all fields on this page', shortcut: shortcuts['fill-form'], run: () => fillAllFields() });
+  
+  const command = await createCommandPalette(field, commands).decision;
+  
+  // Give the field its focus and selection back before running anything
+  field.focus();
+  if (savedRange && field.isContentEditable) {
+    selection.removeAllRanges();
+    selection.addRange(savedRange);
+  }
+  
+  if (command) {
+    command.run();
+  }
+}
+
+// What of the page the site's rule lets Claude see
+function getPageContextOptions() {
+  return {
+    text: siteRule.mode !== 'button',
+    screenshot: siteRule.mode === 'auto-context'
+  };
+}
+
+// Warns the user when the page contains text that tries to instruct Claude, since the
+// answer may have been steered by it
+function warnAboutPageInstructions(pageContext) {
+  if (!pageContext || !pageContext.injectionWarnings || pageContext.injectionWarnings.length === 0) {
+    return false;
+  }
+  
+  console.warn('Page contains text aimed at AI assistants:', pageContext.injectionWarnings);
+  showNotification('Warning: This page contains text that tries to give instructions to AI assistants. Check the answer carefully.');
+  return true;
+}
+
 function showNotification(message) {
   const notification = document.createElement('div');
   notification.className = 'claude-form-assistant-notification';
@@ -793,6 +1849,39 @@ function showNotification(message) {
   }, 3000);
 }
 
+// Show a message with a Cancel button, which calls onCancel, for as long as Claude is working.
+// Returns { close }.
+function showProgressToast(message, onCancel) {
+  const toast = document.createElement('div');
+  toast.className = 'claude-progress-toast';
+  
+  const text = document.createElement('span');
+  text.textContent = message;
+  
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.className = 'claude-panel-button';
+  cancelButton.textContent = 'Cancel';
+  // Keep focus in the field, so the Claude button and panels stay where they are
+  cancelButton.addEventListener('mousedown', event => event.preventDefault());
+  cancelButton.addEventListener('click', onCancel);
+  
+  toast.append(text, cancelButton);
+  document.body.appendChild(toast);
+  
+  return {
+    close() {
+      toast.remove();
+    }
+  };
+}
+
+// Generate an ID for matching streamed chunks to the request that started them.
+// crypto.randomUUID is only available in secure contexts, so build one by hand.
+function generateRequestId() {
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
 async function sendMessageToBackground(message) {
   return new Promise((resolve, reject) => {
     chrome.runtime.sendMessage(message, response => {
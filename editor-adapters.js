@@ -0,0 +1,345 @@
+// Insertion into rich-text and code editors (ProseMirror, Quill, Slate, Lexical, CodeMirror).
+// These editors keep their own document model and ignore or undo direct DOM changes, so
+// text goes in through the paths they already handle: paste, beforeinput/insertText, or
+// the editor's own API.
+
+// Known editors, from most to least specific. Rich editors get Claude's Markdown as sanitized
+// HTML; code editors and any other contenteditable element get plain text.
+const EDITOR_TYPES = [
+  { name: 'codemirror5', container: '.CodeMirror', rich: false },
+  { name: 'codemirror6', container: '.cm-editor', root: '.cm-content', rich: false },
+  { name: 'lexical', container: '[data-lexical-editor="true"]', rich: true },
+  { name: 'slate', container: '[data-slate-editor="true"]', rich: true },
+  { name: 'quill', container: '.ql-editor', rich: true },
+  { name: 'prosemirror', container: '.ProseMirror', rich: true }
+];
+
+// How long editors get to pick up a new DOM selection before text is inserted
+const EDITOR_SELECTION_DELAY = 30;
+
+/**
+ * Finds the editor a field belongs to
+ * @param {Element} element The focused field
+ * @returns {Object|null} { name, root, rich } for editors and other contenteditable elements,
+ *   or null for plain inputs and textareas
+ */
+function getEditorAdapter(element) {
+  for (const type of EDITOR_TYPES) {
+    const container = element.closest(type.container);
+    const root = container && (type.root ? container.querySelector(type.root) : container);
+    if (root) {
+      return { name: type.name, root, rich: type.rich };
+    }
+  }
+
+  if (element.isContentEditable) {
+    // The outermost editable element is the editor
+    let root = element;
+    while (root.parentElement && root.parentElement.isContentEditable) {
+      root = root.parentElement;
+    }
+    return { name: 'contenteditable', root, rich: false };
+  }
+
+  return null;
+}
+
+/**
+ * Replaces the content of an editor with text
+ * @param {Object} editor An editor from getEditorAdapter
+ * @param {string} text The text to insert; Markdown for rich editors unless plainText is set
+ * @param {Object} options Set plainText to insert the text without Markdown formatting
+ * @returns {Promise<boolean>} Whether the text was inserted
+ */
+async function insertIntoEditor(editor, text, options = {}) {
+  // CodeMirror 5 reads input from a hidden textarea, so its API is the only way to replace everything
+  if (editor.name === 'codemirror5') {
+    if (await setCodeMirror5Value(editor.root, text)) {
+      return true;
+    }
+    const input = editor.root.querySelector('textarea');
+    return !!input && pasteIntoEditor(input, text, null);
+  }
+
+  editor.root.focus();
+  selectEditorContents(editor.root);
+  await new Promise(resolve => setTimeout(resolve, EDITOR_SELECTION_DELAY));
+
+  if (!text) {
+    return document.execCommand('delete');
+  }
+
+  // Pasting HTML gives proper headings, lists and bold; editors that don't take
+  // pastes from script leave the event alone
+  const html = editor.rich && !options.plainText ? sanitizeHtml(markdownToHtml(text)) : null;
+  if (editor.rich && pasteIntoEditor(editor.root, text, html)) {
+    return true;
+  }
+
+  // insertText fires beforeinput, which editors handle like typing
+  if (document.execCommand('insertText', false, text)) {
+    return true;
+  }
+
+  // Last resort: plain text, never markup
+  editor.root.textContent = text;
+  editor.root.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  return true;
+}
+
+/**
+ * Selects all content of an editor, so the next insertion replaces it
+ * @param {Element} root The editor's editable root
+ */
+function selectEditorContents(root) {
+  const range = document.createRange();
+  range.selectNodeContents(root);
+  const selection = window.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+/**
+ * Emulates pasting into an editor
+ * @param {Element} target The element that receives the paste
+ * @param {string} text The plain-text version
+ * @param {string|null} html The HTML version, if any
+ * @returns {boolean} Whether the editor handled the paste
+ */
+function pasteIntoEditor(target, text, html) {
+  const clipboardData = new DataTransfer();
+  clipboardData.setData('text/plain', text);
+  if (html) {
+    clipboardData.setData('text/html', html);
+  }
+
+  const event = new ClipboardEvent('paste', {
+    clipboardData,
+    bubbles: true,
+    cancelable: true,
+    composed: true
+  });
+
+  // The browser never performs the default action for a scripted paste, so an editor
+  // that handled it is one that cancelled it
+  return !target.dispatchEvent(event);
+}
+
+/**
+ * Sets the value of a CodeMirror 5 editor through its API. The API lives in the page's own
+ * JavaScript world, so the background script runs the call there.
+ * @param {Element} container The .CodeMirror element
+ * @param {string} text The new value
+ * @returns {Promise<boolean>} Whether the value was set
+ */
+async function setCodeMirror5Value(container, text) {
+  const targetId = generateRequestId();
+  container.dataset.claudeEditorTarget = targetId;
+
+  try {
+    const result = await chrome.runtime.sendMessage({ action: 'setCodeMirrorValue', targetId, text });
+    return !!(result && result.success);
+  } catch (error) {
+    console.error('Error setting CodeMirror value:', error);
+    return false;
+  } finally {
+    delete container.dataset.claudeEditorTarget;
+  }
+}
+
+/**
+ * Converts the Markdown in Claude's answers to HTML for pasting into rich editors. All text
+ * is escaped first, so only the tags added here can appear in the output.
+ * @param {string} markdown The Markdown text
+ * @returns {string} The HTML
+ */
+function markdownToHtml(markdown) {
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  let codeLines = null;
+
+  function flushParagraph() {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.map(formatInlineMarkdown).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  }
+
+  function flushList() {
+    if (list) {
+      html.push(`<${list.type}>${list.items.map(item => `<li>${formatInlineMarkdown(item)}</li>`).join('')}</${list.type}>`);
+      list = null;
+    }
+  }
+
+  markdown.replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+    // Code blocks are kept verbatim until the closing fence
+    if (codeLines) {
+      if (/^\s*```/.test(line)) {
+        html.push(`<pre><code>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+        codeLines = null;
+      } else {
+        codeLines.push(line);
+      }
+      return;
+    }
+
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      flushList();
+      codeLines = [];
+      return;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flushParagraph();
+      flushList();
+      html.push(`<h${heading[1].length}>${formatInlineMarkdown(heading[2])}</h${heading[1].length}>`);
+      return;
+    }
+
+    const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    if (bullet || numbered) {
+      flushParagraph();
+      const type = bullet ? 'ul' : 'ol';
+      if (!list || list.type !== type) {
+        flushList();
+        list = { type, items: [] };
+      }
+      list.items.push((bullet || numbered)[1]);
+      return;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+      return;
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      flushParagraph();
+      flushList();
+      html.push(`<blockquote>${formatInlineMarkdown(quote[1])}</blockquote>`);
+      return;
+    }
+
+    flushList();
+    paragraph.push(line.trim());
+  });
+
+  if (codeLines) {
+    html.push(`<pre><code>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+  }
+  flushParagraph();
+  flushList();
+
+  return html.join('');
+}
+
+/**
+ * Converts inline Markdown (bold, italics, code and links) to HTML
+ * @param {string} text One line of Markdown
+ * @returns {string} Escaped HTML
+ */
+function formatInlineMarkdown(text) {
+  // Keep code spans out of the other replacements
+  const codeSpans = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+    codeSpans.push(code);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  html = html
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, stars, underscores) => `<strong>${stars || underscores}</strong>`)
+    .replace(/(^|[^*\w])\*(?!\s)([^*]+?)\*(?![*\w])/g, '$1<em>$2</em>')
+    .replace(/(^|[^_\w])_(?!\s)([^_]+?)_(?![_\w])/g, '$1<em>$2</em>')
+    // Only web links; the URL is already escaped, so it can't break out of the attribute
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, '<a href="$2">$1</a>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => `<code>${codeSpans[index]}</code>`);
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text The text
+ * @returns {string} The escaped text
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Tags and attributes that may reach a page. Everything else is unwrapped to its text, and
+// the content of elements that hold code or embedded documents is dropped entirely.
+const ALLOWED_HTML_TAGS = ['P', 'BR', 'STRONG', 'EM', 'CODE', 'PRE', 'UL', 'OL', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'BLOCKQUOTE', 'A'];
+const DROPPED_HTML_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH', 'TITLE', 'TEXTAREA', 'SELECT'];
+
+/**
+ * Reduces HTML to the tags in ALLOWED_HTML_TAGS, without any attributes except web links on
+ * <a>. The HTML is parsed in an inert document, so nothing in it loads or runs.
+ * @param {string} html The HTML
+ * @returns {string} The sanitized HTML
+ */
+function sanitizeHtml(html) {
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  sanitizeChildren(doc.body);
+  return doc.body.innerHTML;
+}
+
+/**
+ * Sanitizes the children of a node in place
+ * @param {Node} parent The node whose children are sanitized
+ */
+function sanitizeChildren(parent) {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return;
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      // Comments, processing instructions and the like
+      node.remove();
+      return;
+    }
+
+    const tagName = node.tagName.toUpperCase();
+    if (DROPPED_HTML_TAGS.includes(tagName)) {
+      node.remove();
+      return;
+    }
+
+    sanitizeChildren(node);
+
+    if (!ALLOWED_HTML_TAGS.includes(tagName)) {
+      node.replaceWith(...node.childNodes);
+      return;
+    }
+
+    Array.from(node.attributes).forEach(attribute => {
+      if (!(tagName === 'A' && attribute.name === 'href' && isWebUrl(attribute.value))) {
+        node.removeAttribute(attribute.name);
+      }
+    });
+  });
+}
+
+/**
+ * Checks that a link points to an http or https URL
+ * @param {string} url The link
+ * @returns {boolean} Whether it is a web URL
+ */
+function isWebUrl(url) {
+  try {
+    return /^https?:$/.test(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+}
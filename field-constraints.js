@@ -0,0 +1,309 @@
+// Field constraints (type, length, pattern, word limits) used to shape and check answers
+
+// Input types that take typed text, and the value format each one expects
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'number', 'date', 'time', 'datetime-local', 'month', 'week'];
+const INPUT_VALUE_FORMATS = {
+  email: 'a single email address',
+  url: 'a single absolute URL, starting with https:// or http://',
+  tel: 'a single phone number, using only digits, spaces, +, -, ( and )',
+  number: 'a plain number, without units, thousands separators or other text',
+  date: 'a date in the format YYYY-MM-DD',
+  time: 'a time in the 24-hour format HH:MM',
+  'datetime-local': 'a date and time in the format YYYY-MM-DDTHH:MM',
+  month: 'a month in the format YYYY-MM',
+  week: 'a week in the format YYYY-Www, e.g. 2024-W05'
+};
+
+// Phrases near a field that limit the number of words or characters, e.g. "max 150 words"
+const MAX_WORDS_PATTERN = /(?:max(?:imum|\.)?|up to|no more than|not exceed(?:ing)?|at most|limit(?:ed)? to|less than|under)\s*(?:of\s*)?(\d+)\s*words|(\d+)\s*words?\s*(?:max(?:imum)?|or (?:less|fewer)|limit)/i;
+const MIN_WORDS_PATTERN = /(?:min(?:imum|\.)?|at least|no (?:less|fewer) than)\s*(?:of\s*)?(\d+)\s*words|(\d+)\s*words?\s*(?:min(?:imum)?|or more)/i;
+const MAX_CHARACTERS_PATTERN = /(?:max(?:imum|\.)?|up to|no more than|not exceed(?:ing)?|at most|limit(?:ed)? to|less than|under)\s*(?:of\s*)?(\d+)\s*char(?:acter)?s|(\d+)\s*char(?:acter)?s?\s*(?:max(?:imum)?|or (?:less|fewer)|limit)/i;
+
+/**
+ * Reads the constraints of a form field from its attributes and the hint text around it
+ * @param {Element} element The form field
+ * @param {string} hintText Extra text that may describe limits, such as the field's label or question
+ * @returns {Object} Constraints: type, singleLine, required, and when present maxLength, minLength,
+ *   pattern, patternTitle, min, max, maxWords and minWords
+ */
+function getFieldConstraints(element, hintText = '') {
+  const isInput = element.tagName === 'INPUT';
+  const constraints = {
+    type: isInput ? (element.type || 'text') : element.tagName.toLowerCase(),
+    singleLine: isInput,
+    required: !!element.required || element.getAttribute('aria-required') === 'true'
+  };
+
+  // Browsers report -1 for maxLength when the attribute isn't set
+  if (element.maxLength > 0) {
+    constraints.maxLength = element.maxLength;
+  }
+  if (element.minLength > 0) {
+    constraints.minLength = element.minLength;
+  }
+
+  if (isInput) {
+    if (element.pattern) {
+      constraints.pattern = element.pattern;
+      constraints.patternTitle = element.title || '';
+    }
+    // min and max only mean something for numbers, dates and times
+    if (INPUT_VALUE_FORMATS[constraints.type] && element.min) {
+      constraints.min = element.min;
+    }
+    if (INPUT_VALUE_FORMATS[constraints.type] && element.max) {
+      constraints.max = element.max;
+    }
+  }
+
+  const hints = [hintText, getFieldHintText(element)].join(' ');
+
+  const maxWords = hints.match(MAX_WORDS_PATTERN);
+  if (maxWords) {
+    constraints.maxWords = parseInt(maxWords[1] || maxWords[2], 10);
+  }
+
+  const minWords = hints.match(MIN_WORDS_PATTERN);
+  if (minWords) {
+    constraints.minWords = parseInt(minWords[1] || minWords[2], 10);
+  }
+
+  // A "max 280 characters" hint counts when the field doesn't enforce a limit itself
+  const maxCharacters = hints.match(MAX_CHARACTERS_PATTERN);
+  if (maxCharacters && !constraints.maxLength) {
+    constraints.maxLength = parseInt(maxCharacters[1] || maxCharacters[2], 10);
+  }
+
+  return constraints;
+}
+
+/**
+ * Collects the help text a page shows for a field: its description, placeholder and title,
+ * and short hint elements next to it
+ * @param {Element} element The form field
+ * @returns {string} The hint text
+ */
+function getFieldHintText(element) {
+  const parts = [element.getAttribute('placeholder'), element.getAttribute('title')];
+
+  const describedBy = element.getAttribute('aria-describedby');
+  if (describedBy) {
+    describedBy.split(/\s+/).forEach(id => {
+      const description = document.getElementById(id);
+      if (description) {
+        parts.push(description.textContent);
+      }
+    });
+  }
+
+  // Character counters and help text usually sit right after the field or in its wrapper
+  let sibling = element.nextElementSibling;
+  for (let i = 0; sibling && i < 3; i++, sibling = sibling.nextElementSibling) {
+    if (sibling.textContent.length < 200) {
+      parts.push(sibling.textContent);
+    }
+  }
+
+  if (element.parentElement && element.parentElement.textContent.length < 300) {
+    parts.push(element.parentElement.textContent);
+  }
+
+  return parts.filter(Boolean).join(' ');
+}
+
+/**
+ * Describes a field's constraints as requirements for a prompt
+ * @param {Object} constraints Constraints from getFieldConstraints
+ * @returns {Array<string>} One requirement per entry; empty if the field has no constraints
+ */
+function describeFieldConstraints(constraints) {
+  const requirements = [];
+
+  if (INPUT_VALUE_FORMATS[constraints.type]) {
+    requirements.push(`The answer must be ${INPUT_VALUE_FORMATS[constraints.type]}.`);
+  } else if (constraints.singleLine) {
+    requirements.push('The answer must be a single line of text.');
+  }
+
+  if (constraints.maxLength) {
+    requirements.push(`The answer must be at most ${constraints.maxLength} characters long, including spaces.`);
+  }
+  if (constraints.minLength) {
+    requirements.push(`The answer must be at least ${constraints.minLength} characters long.`);
+  }
+  if (constraints.maxWords) {
+    requirements.push(`The answer must be at most ${constraints.maxWords} words.`);
+  }
+  if (constraints.minWords) {
+    requirements.push(`The answer must be at least ${constraints.minWords} words.`);
+  }
+  if (constraints.pattern) {
+    requirements.push(`The answer must match the regular expression ${constraints.pattern}` +
+      (constraints.patternTitle ? ` (${constraints.patternTitle}).` : '.'));
+  }
+  const isNumber = constraints.type === 'number';
+  if (constraints.min !== undefined) {
+    requirements.push(isNumber ? `The number must be at least ${constraints.min}.` : `The value must be on or after ${constraints.min}.`);
+  }
+  if (constraints.max !== undefined) {
+    requirements.push(isNumber ? `The number must be at most ${constraints.max}.` : `The value must be on or before ${constraints.max}.`);
+  }
+  if (constraints.required) {
+    requirements.push('The field is required, so the answer must not be empty.');
+  }
+
+  return requirements;
+}
+
+/**
+ * Cleans up an answer so it fits the kind of field it goes into, e.g. a bare number for a
+ * number input or YYYY-MM-DD for a date input
+ * @param {string} answer Claude's answer
+ * @param {Object} constraints Constraints from getFieldConstraints
+ * @returns {string} The formatted answer
+ */
+function formatAnswerForField(answer, constraints) {
+  let text = (answer || '').trim();
+
+  // Claude sometimes wraps short answers in quotes
+  const quoted = text.match(/^"([^"]*)"$|^'([^']*)'$/);
+  if (quoted && constraints.singleLine) {
+    text = (quoted[1] !== undefined ? quoted[1] : quoted[2]).trim();
+  }
+
+  if (constraints.singleLine) {
+    text = text.replace(/\s*\n\s*/g, ' ');
+  }
+
+  if (constraints.type === 'number') {
+    const number = text.replace(/(\d),(?=\d{3}\b)/g, '$1').match(/-?\d+(?:\.\d+)?/);
+    return number ? number[0] : text;
+  }
+
+  if (constraints.type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const date = new Date(text);
+    if (!isNaN(date.getTime())) {
+      const pad = value => String(value).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Checks an answer against a field's constraints
+ * @param {string} answer The (formatted) answer
+ * @param {Object} constraints Constraints from getFieldConstraints
+ * @returns {Array<string>} Problems with the answer, worded for Claude; empty if it is valid
+ */
+function validateFieldAnswer(answer, constraints) {
+  const problems = [];
+  const text = answer || '';
+
+  if (!text.trim()) {
+    if (constraints.required) {
+      problems.push('The answer is empty, but the field is required.');
+    }
+    return problems;
+  }
+
+  if (constraints.maxLength && text.length > constraints.maxLength) {
+    problems.push(`The answer is ${text.length} characters long, but the field allows at most ${constraints.maxLength}.`);
+  }
+  if (constraints.minLength && text.length < constraints.minLength) {
+    problems.push(`The answer is ${text.length} characters long, but the field needs at least ${constraints.minLength}.`);
+  }
+
+  const wordCount = text.trim().split(/\s+/).length;
+  if (constraints.maxWords && wordCount > constraints.maxWords) {
+    problems.push(`The answer is ${wordCount} words long, but the field allows at most ${constraints.maxWords}.`);
+  }
+  if (constraints.minWords && wordCount < constraints.minWords) {
+    problems.push(`The answer is ${wordCount} words long, but the field needs at least ${constraints.minWords}.`);
+  }
+
+  if (constraints.pattern) {
+    try {
+      // The pattern attribute always has to match the whole value
+      if (!new RegExp(`^(?:${constraints.pattern})$`, 'u').test(text)) {
+        problems.push(`The answer does not match the required pattern ${constraints.pattern}.`);
+      }
+    } catch (error) {
+      // The page's pattern isn't a valid regular expression, so the browser ignores it too
+    }
+  }
+
+  const formatProblem = getFormatProblem(text, constraints);
+  if (formatProblem) {
+    problems.push(formatProblem);
+  }
+
+  return problems;
+}
+
+/**
+ * Checks that an answer has the value format its input type expects, and is within min and max
+ * @param {string} text The answer
+ * @param {Object} constraints Constraints from getFieldConstraints
+ * @returns {string|null} The problem, or null if the format is fine
+ */
+function getFormatProblem(text, constraints) {
+  switch (constraints.type) {
+    case 'email':
+      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text) ? null : 'The answer is not a valid email address.';
+
+    case 'url':
+      try {
+        const url = new URL(text);
+        return /^https?:$/.test(url.protocol) ? null : 'The answer is not an http or https URL.';
+      } catch (error) {
+        return 'The answer is not a valid absolute URL.';
+      }
+
+    case 'tel':
+      return /^[+\d\s().-]+$/.test(text) ? null : 'The answer is not a valid phone number.';
+
+    case 'number': {
+      const value = Number(text);
+      if (text === '' || isNaN(value)) {
+        return 'The answer is not a number.';
+      }
+      if (constraints.min !== undefined && value < Number(constraints.min)) {
+        return `The number is lower than the minimum of ${constraints.min}.`;
+      }
+      if (constraints.max !== undefined && value > Number(constraints.max)) {
+        return `The number is higher than the maximum of ${constraints.max}.`;
+      }
+      return null;
+    }
+
+    case 'date':
+    case 'time':
+    case 'datetime-local':
+    case 'month':
+    case 'week': {
+      const formats = {
+        date: /^\d{4}-\d{2}-\d{2}$/,
+        time: /^\d{2}:\d{2}(?::\d{2})?$/,
+        'datetime-local': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2})?$/,
+        month: /^\d{4}-\d{2}$/,
+        week: /^\d{4}-W\d{2}$/
+      };
+      if (!formats[constraints.type].test(text)) {
+        return `The answer is not ${INPUT_VALUE_FORMATS[constraints.type]}.`;
+      }
+      // Values in these formats sort as strings
+      if (constraints.min !== undefined && text < constraints.min) {
+        return `The value is earlier than the minimum of ${constraints.min}.`;
+      }
+      if (constraints.max !== undefined && text > constraints.max) {
+        return `The value is later than the maximum of ${constraints.max}.`;
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
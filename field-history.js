@@ -0,0 +1,189 @@
+// Per-field history of content replaced or inserted by Claude, so fills can be undone
+
+// Versions recorded for each field, oldest first. Held in a WeakMap so removed fields are released.
+const fieldHistory = new WeakMap();
+let historyButton = null;
+
+/**
+ * Records the field's current content as a version in its history
+ * @param {Element} element The form field
+ * @param {string} label Short description of the version (e.g. "Before Claude")
+ */
+function recordFieldVersion(element, label) {
+  if (!element) return;
+
+  const text = getElementValue(element);
+  const versions = fieldHistory.get(element) || [];
+
+  // Each text is kept once, so undo can walk back through distinct versions
+  if (versions.some(version => version.text === text)) {
+    return;
+  }
+
+  versions.push({ text, label, time: new Date() });
+  fieldHistory.set(element, versions);
+}
+
+/**
+ * Gets the recorded versions of a field, oldest first
+ * @param {Element} element The form field
+ * @returns {Array<Object>} Versions of the form { text, label, time }
+ */
+function getFieldHistory(element) {
+  return (element && fieldHistory.get(element)) || [];
+}
+
+/**
+ * Restores a recorded version of a field, keeping its current content restorable
+ * @param {Element} element The form field
+ * @param {Object} version The version to restore
+ */
+function restoreFieldVersion(element, version) {
+  recordFieldVersion(element, 'Your edits');
+  // Saved versions are the field's plain text, so don't read them as Markdown
+  insertTextIntoElement(element, version.text, { recordHistory: false, plainText: true });
+}
+
+/**
+ * Restores the version recorded before the field's current content
+ * @param {Element} element The form field
+ */
+function undoFieldChange(element) {
+  const versions = getFieldHistory(element);
+  if (versions.length === 0) {
+    showNotification('Claude has not changed this field yet');
+    return;
+  }
+
+  const currentText = getElementValue(element);
+  const currentIndex = versions.findIndex(version => version.text === currentText);
+
+  // Text the user typed after the last fill is not in the history yet; undo goes to the latest version
+  const target = currentIndex === -1 ? versions[versions.length - 1] : versions[currentIndex - 1];
+  if (!target) {
+    showNotification('No earlier version of this field');
+    return;
+  }
+
+  restoreFieldVersion(element, target);
+  showNotification(`Restored: ${target.label}`);
+}
+
+/**
+ * Listens for Alt+Shift+Z in form fields to undo the last Claude change
+ */
+function setupFieldHistoryShortcut() {
+  document.addEventListener('keydown', (event) => {
+    if (event.altKey && event.shiftKey && event.code === 'KeyZ' && activeElement &&
+        (event.target === activeElement || activeElement.contains(event.target))) {
+      event.preventDefault();
+      event.stopPropagation();
+      undoFieldChange(activeElement);
+    }
+  }, true);
+}
+
+/**
+ * Shows or hides the history button next to the Claude button, depending on
+ * whether the field has any recorded versions
+ * @param {Element} element The form field the Claude button is attached to
+ */
+function updateHistoryButton(element) {
+  if (!historyButton) {
+    historyButton = document.createElement('button');
+    historyButton.className = 'claude-form-assistant-history-button';
+    historyButton.textContent = '↶';
+    historyButton.title = 'Show earlier versions of this field (Alt+Shift+Z to undo)';
+
+    // Keep focus in the field so the buttons don't disappear on blur
+    historyButton.addEventListener('mousedown', event => event.preventDefault());
+    historyButton.addEventListener('click', () => {
+      if (activeElement) {
+        showFieldHistoryMenu(activeElement);
+      }
+    });
+    document.body.appendChild(historyButton);
+  }
+
+  if (!element || getFieldHistory(element).length === 0 || claudeButton.style.display === 'none') {
+    historyButton.style.display = 'none';
+    return;
+  }
+
+  // Sit just to the left of the Claude button
+  historyButton.style.left = (parseFloat(claudeButton.style.left) - 26) + 'px';
+  historyButton.style.top = (parseFloat(claudeButton.style.top) + 5) + 'px';
+  historyButton.style.display = 'flex';
+}
+
+/**
+ * Shows a menu listing the recorded versions of a field, newest first
+ * @param {Element} element The form field
+ */
+function showFieldHistoryMenu(element) {
+  const existingMenu = document.querySelector('.claude-history-menu');
+  if (existingMenu) {
+    existingMenu.parentElement.removeChild(existingMenu);
+  }
+
+  const menu = document.createElement('div');
+  menu.className = 'claude-form-assistant-panel claude-history-menu';
+  menu.innerHTML = `
+    <div class="claude-panel-header">
+      <span class="claude-panel-title">Field history</span>
+      <span class="claude-panel-status">Click a version to restore it</span>
+    </div>
+    <ul class="claude-history-list"></ul>
+  `;
+
+  const list = menu.querySelector('.claude-history-list');
+  const currentText = getElementValue(element);
+
+  function closeMenu() {
+    document.removeEventListener('mousedown', handleOutsideClick, true);
+    if (menu.parentElement) {
+      menu.parentElement.removeChild(menu);
+    }
+  }
+
+  function handleOutsideClick(event) {
+    if (!menu.contains(event.target)) {
+      closeMenu();
+    }
+  }
+
+  getFieldHistory(element).slice().reverse().forEach(version => {
+    const item = document.createElement('li');
+    item.className = 'claude-history-item';
+    if (version.text === currentText) {
+      item.classList.add('current');
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'claude-history-meta';
+    meta.textContent = `${version.label} · ${version.time.toLocaleTimeString()}${version.text === currentText ? ' (current)' : ''}`;
+
+    const preview = document.createElement('div');
+    preview.className = 'claude-history-preview';
+    const text = version.text.trim();
+    preview.textContent = text ? (text.length > 120 ? text.substring(0, 117) + '...' : text) : '(empty)';
+
+    item.appendChild(meta);
+    item.appendChild(preview);
+    item.addEventListener('click', () => {
+      restoreFieldVersion(element, version);
+      closeMenu();
+    });
+    list.appendChild(item);
+  });
+
+  menu.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      closeMenu();
+    }
+  });
+
+  document.body.appendChild(menu);
+  anchorPanelToElement(menu, element);
+  document.addEventListener('mousedown', handleOutsideClick, true);
+}
@@ -0,0 +1,518 @@
+// Inline panels that are anchored next to a form field
+
+/**
+ * Positions a panel directly below a form field, keeping it inside the viewport
+ * @param {HTMLElement} panel The panel element (already attached to the document)
+ * @param {Element} element The form field to anchor to
+ */
+function anchorPanelToElement(panel, element) {
+  const rect = element.getBoundingClientRect();
+  const scrollLeft = window.pageXOffset || document.documentElement.scrollLeft;
+  const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+
+  const width = Math.min(Math.max(rect.width, 320), 520, window.innerWidth - 20);
+  let left = rect.left + scrollLeft;
+
+  // Keep the panel from running off the right edge of the viewport
+  if (left + width > scrollLeft + window.innerWidth - 10) {
+    left = scrollLeft + window.innerWidth - width - 10;
+  }
+
+  panel.style.width = width + 'px';
+  panel.style.left = Math.max(left, scrollLeft + 10) + 'px';
+  panel.style.top = (rect.bottom + scrollTop + 6) + 'px';
+}
+
+/**
+ * Creates a panel for reviewing Claude's proposed answer before it is inserted
+ * @param {Element} element The form field the answer is for
+ * @param {string} existingText The field's current content, used for the diff view
+ * @param {Function} onDiscard Called when the answer is discarded while Claude is still writing
+ *   it, to stop the request
+ * @returns {Object} Controls for the panel: update, finish, close and a decision promise
+ *   that resolves to { action: 'accept' | 'regenerate' | 'discard', text }
+ */
+function createReviewPanel(element, existingText, onDiscard) {
+  const panel = document.createElement('div');
+  panel.className = 'claude-form-assistant-panel claude-review-panel';
+  panel.innerHTML = `
+    <div class="claude-panel-header">
+      <span class="claude-panel-title">Claude's answer</span>
+      <span class="claude-panel-status">Writing...</span>
+    </div>
+    <textarea class="claude-review-answer" rows="6" readonly></textarea>
+    <div class="claude-review-diff hidden">
+      <div class="claude-panel-subtitle">Changes from the current content</div>
+      <div class="claude-review-diff-content"></div>
+    </div>
+    <div class="claude-panel-buttons">
+      <button class="claude-panel-button claude-review-discard">Discard</button>
+      <button class="claude-panel-button claude-review-regenerate" disabled>Regenerate</button>
+      <button class="claude-panel-button claude-review-edit" disabled>Edit</button>
+      <button class="claude-panel-button claude-panel-primary claude-review-accept" disabled>Accept</button>
+    </div>
+  `;
+
+  document.body.appendChild(panel);
+  anchorPanelToElement(panel, element);
+
+  const answerArea = panel.querySelector('.claude-review-answer');
+  const statusElement = panel.querySelector('.claude-panel-status');
+  const diffSection = panel.querySelector('.claude-review-diff');
+  const diffContent = panel.querySelector('.claude-review-diff-content');
+  const acceptButton = panel.querySelector('.claude-review-accept');
+  const editButton = panel.querySelector('.claude-review-edit');
+  const regenerateButton = panel.querySelector('.claude-review-regenerate');
+  const discardButton = panel.querySelector('.claude-review-discard');
+
+  let finished = false;
+  let resolveDecision;
+  const decision = new Promise(resolve => {
+    resolveDecision = resolve;
+  });
+
+  function close() {
+    if (panel.parentElement) {
+      panel.parentElement.removeChild(panel);
+    }
+  }
+
+  function decide(action) {
+    if (action === 'discard' && !finished && onDiscard) {
+      onDiscard();
+    }
+    resolveDecision({ action, text: answerArea.value });
+    close();
+  }
+
+  acceptButton.addEventListener('click', () => decide('accept'));
+  regenerateButton.addEventListener('click', () => decide('regenerate'));
+  discardButton.addEventListener('click', () => decide('discard'));
+
+  editButton.addEventListener('click', () => {
+    answerArea.readOnly = false;
+    answerArea.focus();
+    editButton.disabled = true;
+  });
+
+  // Keep the diff in sync while the answer is being edited
+  answerArea.addEventListener('input', () => renderDiff());
+
+  panel.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      decide('discard');
+    } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey) && !acceptButton.disabled) {
+      event.preventDefault();
+      decide('accept');
+    }
+  });
+
+  function renderDiff() {
+    if (!existingText || !existingText.trim()) {
+      return;
+    }
+
+    diffContent.textContent = '';
+    diffWords(existingText, answerArea.value).forEach(part => {
+      const span = document.createElement('span');
+      span.textContent = part.text;
+      if (part.type !== 'same') {
+        span.className = part.type === 'added' ? 'claude-diff-added' : 'claude-diff-removed';
+      }
+      diffContent.appendChild(span);
+    });
+    diffSection.classList.remove('hidden');
+  }
+
+  return {
+    decision,
+    close,
+
+    // Show a partial answer while Claude is still writing
+    update(text) {
+      answerArea.value = text;
+      answerArea.scrollTop = answerArea.scrollHeight;
+    },
+
+    // Show the complete answer and let the user decide what to do with it
+    finish(text) {
+      finished = true;
+      answerArea.value = text;
+      statusElement.textContent = '';
+      acceptButton.disabled = false;
+      editButton.disabled = false;
+      regenerateButton.disabled = false;
+      renderDiff();
+      acceptButton.focus();
+    }
+  };
+}
+
+/**
+ * Creates a panel for choosing between several alternative answers before one is inserted
+ * @param {Element} element The form field the answers are for
+ * @param {Function} onDiscard Called when the panel is discarded while Claude is still writing
+ *   the options, to stop the request
+ * @returns {Object} Controls for the panel: finish, close and a decision promise that
+ *   resolves to { action: 'pick' | 'regenerate' | 'discard', text }
+ */
+function createOptionsPanel(element, onDiscard) {
+  const panel = document.createElement('div');
+  panel.className = 'claude-form-assistant-panel claude-options-panel';
+  panel.tabIndex = -1;
+  panel.innerHTML = `
+    <div class="claude-panel-header">
+      <span class="claude-panel-title">Choose an answer</span>
+      <span class="claude-panel-status">Writing options...</span>
+    </div>
+    <div class="claude-options-list"></div>
+    <div class="claude-panel-buttons">
+      <button class="claude-panel-button claude-options-discard">Discard</button>
+      <button class="claude-panel-button claude-options-regenerate" disabled>More options</button>
+    </div>
+  `;
+
+  document.body.appendChild(panel);
+  anchorPanelToElement(panel, element);
+
+  const list = panel.querySelector('.claude-options-list');
+  const statusElement = panel.querySelector('.claude-panel-status');
+  const regenerateButton = panel.querySelector('.claude-options-regenerate');
+  const discardButton = panel.querySelector('.claude-options-discard');
+
+  let options = [];
+  let finished = false;
+  let resolveDecision;
+  const decision = new Promise(resolve => {
+    resolveDecision = resolve;
+  });
+
+  function close() {
+    if (panel.parentElement) {
+      panel.parentElement.removeChild(panel);
+    }
+  }
+
+  function decide(action, text = null) {
+    if (action === 'discard' && !finished && onDiscard) {
+      onDiscard();
+    }
+    resolveDecision({ action, text });
+    close();
+  }
+
+  regenerateButton.addEventListener('click', () => decide('regenerate'));
+  discardButton.addEventListener('click', () => decide('discard'));
+
+  // Number keys pick the matching option
+  panel.addEventListener('keydown', (event) => {
+    const index = parseInt(event.key, 10) - 1;
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      decide('discard');
+    } else if (index >= 0 && index < options.length) {
+      event.preventDefault();
+      decide('pick', options[index]);
+    }
+  });
+
+  return {
+    decision,
+    close,
+
+    // Show the options and let the user pick one
+    finish(answers) {
+      finished = true;
+      options = answers;
+      statusElement.textContent = 'Press 1-' + options.length + ' or click to pick';
+
+      options.forEach((option, index) => {
+        const button = document.createElement('button');
+        button.className = 'claude-option';
+
+        const number = document.createElement('span');
+        number.className = 'claude-option-number';
+        number.textContent = String(index + 1);
+
+        const text = document.createElement('span');
+        text.className = 'claude-option-text';
+        text.textContent = option;
+
+        button.appendChild(number);
+        button.appendChild(text);
+        button.addEventListener('click', () => decide('pick', option));
+        list.appendChild(button);
+      });
+
+      regenerateButton.disabled = false;
+      panel.focus();
+    }
+  };
+}
+
+/**
+ * Creates a small panel for refining an inserted answer with follow-up instructions
+ * @param {Element} element The form field that was filled
+ * @param {Function} onSubmit Called with each instruction; returns a promise that settles once
+ *   the refined answer has been inserted
+ * @returns {Object} Controls for the panel: close, and a closed promise that resolves when it goes away
+ */
+function createRefinePanel(element, onSubmit) {
+  const panel = document.createElement('div');
+  panel.className = 'claude-form-assistant-panel claude-refine-panel';
+  panel.innerHTML = `
+    <div class="claude-panel-header">
+      <span class="claude-panel-title">Refine the answer</span>
+      <span class="claude-panel-status"></span>
+    </div>
+    <div class="claude-refine-row">
+      <input type="text" class="claude-refine-input" placeholder="e.g. Make it 100 words shorter">
+      <button class="claude-panel-button claude-panel-primary claude-refine-send">Send</button>
+      <button class="claude-panel-button claude-refine-done">Done</button>
+    </div>
+  `;
+
+  document.body.appendChild(panel);
+  anchorPanelToElement(panel, element);
+
+  const input = panel.querySelector('.claude-refine-input');
+  const statusElement = panel.querySelector('.claude-panel-status');
+  const sendButton = panel.querySelector('.claude-refine-send');
+  const doneButton = panel.querySelector('.claude-refine-done');
+
+  let resolveClosed;
+  const closed = new Promise(resolve => {
+    resolveClosed = resolve;
+  });
+
+  function close() {
+    if (panel.parentElement) {
+      panel.parentElement.removeChild(panel);
+    }
+    resolveClosed();
+  }
+
+  async function submit() {
+    const instruction = input.value.trim();
+    if (!instruction || sendButton.disabled) {
+      return;
+    }
+
+    input.disabled = true;
+    sendButton.disabled = true;
+    statusElement.textContent = 'Writing...';
+
+    try {
+      await onSubmit(instruction);
+      input.value = '';
+    } finally {
+      input.disabled = false;
+      sendButton.disabled = false;
+      statusElement.textContent = '';
+
+      // The field may have grown, so move the panel back below it. Inserting the answer
+      // focuses the field, so take focus back once that has happened.
+      if (panel.parentElement && document.body.contains(element)) {
+        anchorPanelToElement(panel, element);
+        setTimeout(() => input.focus(), 100);
+      }
+    }
+  }
+
+  sendButton.addEventListener('click', submit);
+  doneButton.addEventListener('click', close);
+
+  panel.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      close();
+    } else if (event.key === 'Enter' && event.target === input) {
+      event.preventDefault();
+      submit();
+    }
+  });
+
+  return { close, closed };
+}
+
+/**
+ * Creates a command palette listing what Claude can do for a field. Typing filters the list,
+ * the arrow keys move the highlight and Enter runs the highlighted command.
+ * @param {Element} element The form field the commands apply to
+ * @param {Array<Object>} commands Commands of the form { label, shortcut }; shortcut is optional
+ * @returns {Object} Controls for the panel: close, and a decision promise that resolves to the
+ *   chosen command, or null if the palette was dismissed
+ */
+function createCommandPalette(element, commands) {
+  const panel = document.createElement('div');
+  panel.className = 'claude-form-assistant-panel claude-palette-panel';
+  panel.innerHTML = `
+    <div class="claude-panel-header">
+      <span class="claude-panel-title">Claude</span>
+      <span class="claude-panel-status">↑↓ to choose, Enter to run, Esc to close</span>
+    </div>
+    <input type="text" class="claude-palette-input" placeholder="Type a command or template name">
+    <div class="claude-palette-list" role="listbox"></div>
+  `;
+
+  document.body.appendChild(panel);
+  anchorPanelToElement(panel, element);
+
+  const input = panel.querySelector('.claude-palette-input');
+  const list = panel.querySelector('.claude-palette-list');
+
+  let matches = commands;
+  let highlighted = 0;
+  let resolveDecision;
+  const decision = new Promise(resolve => {
+    resolveDecision = resolve;
+  });
+
+  function close() {
+    document.removeEventListener('mousedown', handleOutsideClick, true);
+    if (panel.parentElement) {
+      panel.parentElement.removeChild(panel);
+    }
+  }
+
+  function decide(command) {
+    resolveDecision(command);
+    close();
+  }
+
+  function handleOutsideClick(event) {
+    if (!panel.contains(event.target)) {
+      decide(null);
+    }
+  }
+
+  function render() {
+    list.textContent = '';
+    matches.forEach((command, index) => {
+      const item = document.createElement('button');
+      item.className = 'claude-palette-item';
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(index === highlighted));
+      // Keep the focus in the filter input
+      item.tabIndex = -1;
+
+      const label = document.createElement('span');
+      label.textContent = command.label;
+      item.appendChild(label);
+
+      if (command.shortcut) {
+        const shortcut = document.createElement('span');
+        shortcut.className = 'claude-palette-shortcut';
+        shortcut.textContent = command.shortcut;
+        item.appendChild(shortcut);
+      }
+
+      item.addEventListener('click', () => decide(command));
+      list.appendChild(item);
+    });
+
+    const current = list.children[highlighted];
+    if (current) {
+      current.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  // Every word typed has to appear in the label, in any order
+  input.addEventListener('input', () => {
+    const words = input.value.toLowerCase().split(/\s+/).filter(Boolean);
+    matches = commands.filter(command => words.every(word => command.label.toLowerCase().includes(word)));
+    highlighted = 0;
+    render();
+  });
+
+  panel.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      decide(null);
+    } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      if (matches.length > 0) {
+        highlighted = (highlighted + (event.key === 'ArrowDown' ? 1 : -1) + matches.length) % matches.length;
+        render();
+      }
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      if (matches[highlighted]) {
+        decide(matches[highlighted]);
+      }
+    }
+  });
+
+  document.addEventListener('mousedown', handleOutsideClick, true);
+  render();
+  input.focus();
+
+  return { decision, close };
+}
+
+/**
+ * Computes a word-level diff between two texts
+ * @param {string} oldText The original text
+ * @param {string} newText The new text
+ * @returns {Array<Object>} Parts of the form { type: 'same' | 'added' | 'removed', text }
+ */
+function diffWords(oldText, newText) {
+  // Keep whitespace as separate tokens so the output can be rendered verbatim
+  const oldTokens = oldText.split(/(\s+)/).filter(Boolean);
+  const newTokens = newText.split(/(\s+)/).filter(Boolean);
+
+  // The LCS table grows with the product of both lengths, so give up on very long texts
+  if (oldTokens.length * newTokens.length > 1000000) {
+    return [
+      { type: 'removed', text: oldText },
+      { type: 'added', text: newText }
+    ];
+  }
+
+  // Longest common subsequence lengths, computed from the end of both token lists
+  const rows = oldTokens.length + 1;
+  const cols = newTokens.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = oldTokens.length - 1; i >= 0; i--) {
+    for (let j = newTokens.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = oldTokens[i] === newTokens[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const parts = [];
+  function push(type, text) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < oldTokens.length && j < newTokens.length) {
+    if (oldTokens[i] === newTokens[j]) {
+      push('same', oldTokens[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      push('removed', oldTokens[i]);
+      i++;
+    } else {
+      push('added', newTokens[j]);
+      j++;
+    }
+  }
+  while (i < oldTokens.length) {
+    push('removed', oldTokens[i++]);
+  }
+  while (j < newTokens.length) {
+    push('added', newTokens[j++]);
+  }
+
+  return parts;
+}
@@ -0,0 +1,430 @@
+// Ghost-text autocomplete: when the user pauses typing in a textarea or contenteditable field,
+// Claude's suggested continuation appears in grey at the caret. Tab accepts it; Esc, typing on
+// or leaving the field dismisses it. Off unless turned on in the popup.
+
+// How long typing has to pause before a suggestion is requested, in milliseconds
+const GHOST_TEXT_DELAY = 800;
+
+// Characters needed before the caret for a suggestion, and how many of them are sent
+const GHOST_TEXT_MIN_LENGTH = 20;
+const GHOST_TEXT_CONTEXT_LENGTH = 2000;
+
+// Suggestions are cut to about this many characters, at a word boundary
+const GHOST_TEXT_MAX_LENGTH = 200;
+
+// A suggestion that takes longer than this is no longer wanted, in milliseconds
+const GHOST_TEXT_TIMEOUT = 15000;
+
+// How long suggestions pause after a rate limit without a reset time, in milliseconds
+const GHOST_TEXT_RATE_LIMIT_PAUSE = 60000;
+
+// Styles a hidden copy of a textarea needs to lay its text out the same way
+const MIRRORED_TEXTAREA_STYLES = [
+  'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+  'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+  'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'fontVariant', 'fontStretch',
+  'letterSpacing', 'wordSpacing', 'lineHeight', 'textTransform', 'textIndent', 'tabSize'
+];
+
+let ghostTextEnabled = false;
+let ghostTextTimer = null;
+// The suggestion request in flight, so it can be cancelled when the user types on
+let ghostTextRequestId = null;
+// The suggestion on screen, as { element, text, overlay }
+let ghostSuggestion = null;
+// Time until which no suggestions are requested, after a usage limit, sign-in or provider error
+let ghostTextPausedUntil = 0;
+
+// Settings that can fix the errors that pause suggestions
+const GHOST_TEXT_PROVIDER_SETTINGS = ['provider', 'siteProviders', 'anthropicApiKey', 'openaiApiKey'];
+
+/**
+ * Loads the ghost-text setting and starts watching for pauses in typing. Turning the
+ * setting on or off, or changing the provider, in the popup applies straight away.
+ */
+function setupGhostText() {
+  chrome.storage.sync.get(['ghostTextEnabled']).then(settings => {
+    ghostTextEnabled = settings.ghostTextEnabled === true;
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync' && changes.ghostTextEnabled) {
+      ghostTextEnabled = changes.ghostTextEnabled.newValue === true;
+      if (!ghostTextEnabled) {
+        cancelGhostText();
+      }
+    }
+    if (GHOST_TEXT_PROVIDER_SETTINGS.some(key => changes[key])) {
+      ghostTextPausedUntil = 0;
+    }
+  });
+
+  document.addEventListener('input', handleGhostTextInput, true);
+  document.addEventListener('keydown', handleGhostTextKeydown, true);
+  document.addEventListener('focusout', cancelGhostText, true);
+  document.addEventListener('mousedown', cancelGhostText, true);
+  // The suggestion is placed once, so it goes when the field moves
+  window.addEventListener('scroll', dismissGhostText, true);
+  window.addEventListener('resize', dismissGhostText);
+}
+
+/**
+ * Restarts the pause timer whenever the user types in a field that gets suggestions
+ * @param {InputEvent} event The input event
+ */
+function handleGhostTextInput(event) {
+  cancelGhostText();
+
+  // Changes made by scripts, including Claude's own fills, don't count as typing
+  if (!ghostTextEnabled || !event.isTrusted || event.isComposing || isProcessing) {
+    return;
+  }
+
+  const element = getGhostTextField(event.target);
+  if (element) {
+    ghostTextTimer = setTimeout(() => requestGhostText(element), GHOST_TEXT_DELAY);
+  }
+}
+
+/**
+ * Handles Tab and Esc while a suggestion is shown; any other key dismisses it
+ * @param {KeyboardEvent} event The keydown event
+ */
+function handleGhostTextKeydown(event) {
+  if (!ghostSuggestion) {
+    // Esc also stops a suggestion that is still on its way
+    if (event.key === 'Escape') {
+      cancelGhostText();
+    }
+    return;
+  }
+
+  if (!ghostSuggestion.element.contains(event.target) || ['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) {
+    return;
+  }
+
+  if (event.key === 'Tab' && !event.shiftKey && !event.altKey && !event.ctrlKey && !event.metaKey) {
+    event.preventDefault();
+    event.stopPropagation();
+    acceptGhostText();
+  } else if (event.key === 'Escape') {
+    event.preventDefault();
+    event.stopPropagation();
+    dismissGhostText();
+  } else {
+    dismissGhostText();
+  }
+}
+
+/**
+ * Stops suggestions for a while after an error that every further request would hit as well:
+ * until a usage limit resets, or until the provider settings change when the user isn't
+ * signed in or the provider doesn't offer suggestions. The user is told once, since they
+ * didn't ask for the request that failed.
+ * @param {Object} response The failed response, with errorCode and resetsAt
+ */
+function pauseGhostTextAfterError(response) {
+  if (response.errorCode === 'rate_limited') {
+    ghostTextPausedUntil = response.resetsAt || Date.now() + GHOST_TEXT_RATE_LIMIT_PAUSE;
+  } else if (response.errorCode === 'not_logged_in' || response.errorCode === 'unsupported_provider') {
+    ghostTextPausedUntil = Infinity;
+  } else {
+    return;
+  }
+  showNotification('Suggestions paused: ' + response.error);
+}
+
+/**
+ * Finds the field typing happened in, if it gets suggestions: a textarea or a contenteditable
+ * element other than a code editor, that the site's rule lets the extension read
+ * @param {EventTarget} target The input event's target
+ * @returns {Element|null} The field
+ */
+function getGhostTextField(target) {
+  if (!(target instanceof Element) || target.closest('.claude-form-assistant-modal, .claude-form-assistant-panel')) {
+    return null;
+  }
+
+  if (target.tagName === 'TEXTAREA') {
+    if (target.readOnly || target.disabled) {
+      return null;
+    }
+  } else {
+    const editor = target.isContentEditable ? getEditorAdapter(target) : null;
+    if (!editor || editor.name.startsWith('codemirror')) {
+      return null;
+    }
+  }
+
+  // "Button only" sites send nothing the user didn't ask for
+  if (siteRule.mode === 'button' || !isFieldAllowedBySiteRule(target, siteRule)) {
+    return null;
+  }
+
+  return target;
+}
+
+/**
+ * Asks Claude how the text in a field continues and shows the answer as ghost text, unless
+ * the user has typed on or moved the caret in the meantime
+ * @param {Element} element The field
+ */
+async function requestGhostText(element) {
+  ghostTextTimer = null;
+  if (isProcessing || Date.now() < ghostTextPausedUntil || !element.contains(document.activeElement)) {
+    return;
+  }
+
+  const textBeforeCaret = getTextBeforeCaret(element);
+  if (textBeforeCaret === null || textBeforeCaret.trim().length < GHOST_TEXT_MIN_LENGTH) {
+    return;
+  }
+
+  const requestId = generateRequestId();
+  ghostTextRequestId = requestId;
+
+  // The text is sent without the user asking, so it is masked like page text
+  const redaction = await getRedactionSettings();
+  if (ghostTextRequestId !== requestId) {
+    return;
+  }
+  const text = applyRedaction(textBeforeCaret.slice(-GHOST_TEXT_CONTEXT_LENGTH), redaction);
+
+  const response = await requestAnswer({
+    question: createContinuationPrompt(text, applyRedaction(getFieldLabel(element), redaction)),
+    element,
+    conversationTitle: 'Form Assistant - Autocomplete',
+    requestId,
+    ephemeral: true,
+    quiet: true,
+    timeout: GHOST_TEXT_TIMEOUT
+  }).catch(error => ({ error: error.message }));
+
+  // A newer request or a cancel took over while Claude was answering
+  if (ghostTextRequestId !== requestId) {
+    return;
+  }
+  ghostTextRequestId = null;
+
+  // Suggestions are a nicety, so failures are only logged
+  if (!response || response.error || response.cancelled) {
+    if (response && response.error) {
+      console.warn('Ghost text suggestion failed:', response.error);
+      pauseGhostTextAfterError(response);
+    }
+    return;
+  }
+
+  const suggestion = cleanGhostSuggestion(response.answer, textBeforeCaret);
+  if (suggestion && getTextBeforeCaret(element) === textBeforeCaret) {
+    showGhostText(element, suggestion);
+  }
+}
+
+/**
+ * Gets a field's text up to the caret. Suggestions would cover any text after the caret,
+ * so there is none unless the caret is at the end of the text with nothing selected.
+ * @param {Element} element A textarea or contenteditable field
+ * @returns {string|null} The text before the caret, or null
+ */
+function getTextBeforeCaret(element) {
+  if (element.tagName === 'TEXTAREA') {
+    const { selectionStart, selectionEnd, value } = element;
+    if (selectionStart !== selectionEnd || value.slice(selectionEnd).trim()) {
+      return null;
+    }
+    return value.slice(0, selectionEnd);
+  }
+
+  const selection = window.getSelection();
+  if (!selection.rangeCount || !selection.isCollapsed || !element.contains(selection.anchorNode)) {
+    return null;
+  }
+
+  const caret = selection.getRangeAt(0);
+  const after = document.createRange();
+  after.selectNodeContents(element);
+  after.setStart(caret.endContainer, caret.endOffset);
+  if (after.toString().trim()) {
+    return null;
+  }
+
+  const before = document.createRange();
+  before.selectNodeContents(element);
+  before.setEnd(caret.endContainer, caret.endOffset);
+  return before.toString();
+}
+
+/**
+ * Tidies Claude's continuation so it joins the user's text: no repeated text or wrapping
+ * quotes, the right space in between, and no more than a short paragraph
+ * @param {string} answer Claude's answer
+ * @param {string} textBeforeCaret The text it continues
+ * @returns {string} The suggestion, or an empty string if nothing is left
+ */
+function cleanGhostSuggestion(answer, textBeforeCaret) {
+  let suggestion = (answer || '').replace(/^"([\s\S]*)"$/, '$1').trimEnd();
+
+  // Models sometimes start by repeating the text they were asked to continue
+  const typed = textBeforeCaret.trim();
+  if (suggestion.trimStart().startsWith(typed)) {
+    suggestion = suggestion.trimStart().slice(typed.length);
+  }
+
+  suggestion = suggestion.split(/\n\s*\n/)[0];
+  if (/\s$/.test(textBeforeCaret)) {
+    suggestion = suggestion.trimStart();
+  } else if (/[.,;:!?]$/.test(textBeforeCaret) && /^\w/.test(suggestion)) {
+    suggestion = ' ' + suggestion;
+  }
+
+  if (suggestion.length > GHOST_TEXT_MAX_LENGTH) {
+    const cut = suggestion.slice(0, GHOST_TEXT_MAX_LENGTH);
+    suggestion = cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length);
+  }
+
+  return suggestion.trim() ? suggestion : '';
+}
+
+/**
+ * Shows a suggestion in grey at the caret. It is laid over the field in the field's font,
+ * indented so its first line starts at the caret and later lines wrap like the field's text.
+ * @param {Element} element The field
+ * @param {string} text The suggestion
+ */
+function showGhostText(element, text) {
+  const caret = getCaretPosition(element);
+  if (!caret) {
+    return;
+  }
+
+  const fieldRect = element.getBoundingClientRect();
+  const fieldStyle = getComputedStyle(element);
+  const contentLeft = fieldRect.left + parseFloat(fieldStyle.borderLeftWidth) + parseFloat(fieldStyle.paddingLeft);
+  const contentWidth = element.clientWidth - parseFloat(fieldStyle.paddingLeft) - parseFloat(fieldStyle.paddingRight);
+
+  dismissGhostText();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'claude-ghost-text';
+  overlay.textContent = text;
+  Object.assign(overlay.style, {
+    left: contentLeft + 'px',
+    top: caret.top + 'px',
+    width: contentWidth + 'px',
+    textIndent: (caret.left - contentLeft) + 'px',
+    font: caret.style.font,
+    letterSpacing: caret.style.letterSpacing,
+    lineHeight: caret.style.lineHeight
+  });
+  document.body.appendChild(overlay);
+
+  ghostSuggestion = { element, text, overlay };
+}
+
+/**
+ * Finds where the caret is in the viewport, and the style of the text around it
+ * @param {Element} element A textarea or contenteditable field
+ * @returns {Object|null} { left, top, style }, or null if the caret has no position to show at
+ */
+function getCaretPosition(element) {
+  if (element.tagName === 'TEXTAREA') {
+    return getTextareaCaretPosition(element);
+  }
+
+  const selection = window.getSelection();
+  if (!selection.rangeCount) {
+    return null;
+  }
+
+  // A caret at the start of an empty line has no box, and measuring it would mean changing
+  // the editor's DOM, so no suggestion is shown there
+  const rect = selection.getRangeAt(0).getClientRects()[0];
+  const textElement = selection.focusNode.nodeType === Node.ELEMENT_NODE ? selection.focusNode : selection.focusNode.parentElement;
+  if (!rect || !textElement) {
+    return null;
+  }
+
+  return { left: rect.left, top: rect.top, style: getComputedStyle(textElement) };
+}
+
+/**
+ * Finds where the caret is in a textarea. There's no API for it, so the text up to the caret
+ * is laid out in a hidden copy of the textarea and the end of it measured.
+ * @param {HTMLTextAreaElement} textarea The textarea
+ * @returns {Object} { left, top, style }
+ */
+function getTextareaCaretPosition(textarea) {
+  const style = getComputedStyle(textarea);
+  const mirror = document.createElement('div');
+  MIRRORED_TEXTAREA_STYLES.forEach(property => {
+    mirror.style[property] = style[property];
+  });
+  Object.assign(mirror.style, {
+    position: 'absolute',
+    top: '0',
+    left: '-9999px',
+    visibility: 'hidden',
+    boxSizing: 'border-box',
+    borderStyle: 'solid',
+    // clientWidth leaves out the scrollbar, which takes space from the text
+    width: (textarea.clientWidth + parseFloat(style.borderLeftWidth) + parseFloat(style.borderRightWidth)) + 'px',
+    whiteSpace: 'pre-wrap',
+    overflowWrap: 'break-word',
+    overflow: 'hidden'
+  });
+
+  mirror.textContent = textarea.value.slice(0, textarea.selectionEnd);
+  const marker = document.createElement('span');
+  marker.textContent = '\u200b';
+  mirror.appendChild(marker);
+  document.body.appendChild(mirror);
+
+  const rect = textarea.getBoundingClientRect();
+  const position = {
+    left: rect.left + parseFloat(style.borderLeftWidth) + marker.offsetLeft - textarea.scrollLeft,
+    top: rect.top + parseFloat(style.borderTopWidth) + marker.offsetTop - textarea.scrollTop,
+    style
+  };
+  mirror.remove();
+
+  return position;
+}
+
+/**
+ * Inserts the suggestion at the caret. insertText goes through the field's own input
+ * handling, so frameworks and editors see the change and Ctrl+Z undoes it.
+ */
+function acceptGhostText() {
+  const { element, text } = ghostSuggestion;
+  dismissGhostText();
+
+  element.focus();
+  if (!document.execCommand('insertText', false, text) && element.tagName === 'TEXTAREA') {
+    element.setRangeText(text, element.selectionStart, element.selectionEnd, 'end');
+    element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  }
+}
+
+/**
+ * Removes the suggestion from the screen
+ */
+function dismissGhostText() {
+  if (ghostSuggestion) {
+    ghostSuggestion.overlay.remove();
+    ghostSuggestion = null;
+  }
+}
+
+/**
+ * Removes the suggestion and stops any that is waiting for the pause or for Claude's answer
+ */
+function cancelGhostText() {
+  dismissGhostText();
+  clearTimeout(ghostTextTimer);
+  ghostTextTimer = null;
+
+  if (ghostTextRequestId) {
+    cancelClaudeRequest(ghostTextRequestId);
+    ghostTextRequestId = null;
+  }
+}
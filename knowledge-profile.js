@@ -0,0 +1,116 @@
+// Personal knowledge profile, shared by the popup and the content scripts
+
+// Structured profile fields. Short fields are always sent; long ones only when they look relevant.
+const PROFILE_FIELDS = [
+  { key: 'fullName', label: 'Full name' },
+  { key: 'email', label: 'Email' },
+  { key: 'phone', label: 'Phone' },
+  { key: 'jobTitle', label: 'Job title' },
+  { key: 'company', label: 'Company' },
+  { key: 'website', label: 'Website' },
+  { key: 'location', label: 'Location / address' },
+  {
+    key: 'bio',
+    label: 'Short bio',
+    long: true,
+    keywords: ['bio', 'about you', 'yourself', 'background', 'experience', 'introduce', 'who are you', 'career']
+  },
+  {
+    key: 'companyDescription',
+    label: 'About the company',
+    long: true,
+    keywords: ['company', 'organization', 'organisation', 'business', 'team', 'employees', 'founded', 'mission', 'vendor']
+  },
+  {
+    key: 'productDescription',
+    label: 'About the product',
+    long: true,
+    keywords: ['product', 'service', 'solution', 'offering', 'feature', 'platform', 'customers', 'pricing']
+  }
+];
+
+// Common words ignored when matching notes against a question
+const PROFILE_STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'you', 'your', 'our', 'with', 'this', 'that', 'what', 'which', 'how',
+  'please', 'describe', 'from', 'have', 'has', 'will', 'would', 'can', 'does', 'any', 'all', 'about'
+]);
+
+// Maximum characters of free-form notes added to a prompt
+const MAX_PROFILE_NOTES_LENGTH = 2000;
+
+/**
+ * Loads the knowledge profile from extension storage
+ * @returns {Promise<Object>} The profile: one property per PROFILE_FIELDS key, plus notes and enabled
+ */
+async function getKnowledgeProfile() {
+  const { knowledgeProfile = {} } = await chrome.storage.local.get(['knowledgeProfile']);
+  return knowledgeProfile;
+}
+
+/**
+ * Saves the knowledge profile to extension storage
+ * @param {Object} profile The profile to save
+ */
+async function saveKnowledgeProfile(profile) {
+  await chrome.storage.local.set({ knowledgeProfile: profile });
+}
+
+/**
+ * Formats the parts of the profile that are relevant to a question for inclusion in a prompt
+ * @param {Object} profile The knowledge profile
+ * @param {string} query The question and field label the answer is for
+ * @returns {string} Profile facts as a bullet list, or an empty string if there is nothing to add
+ */
+function formatProfileForPrompt(profile, query) {
+  if (!profile || profile.enabled === false) {
+    return '';
+  }
+
+  const queryText = (query || '').toLowerCase();
+  const queryWords = getProfileWords(queryText);
+  const lines = [];
+
+  PROFILE_FIELDS.forEach(field => {
+    const value = (profile[field.key] || '').trim();
+    if (!value) return;
+
+    if (!field.long || field.keywords.some(keyword => queryText.includes(keyword))) {
+      lines.push(`- ${field.label}: ${value}`);
+    }
+  });
+
+  // Add the notes paragraphs that share the most words with the question
+  const notes = (profile.notes || '').split(/\n\s*\n|\n(?=\s*[-*•])/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => ({
+      paragraph,
+      score: [...getProfileWords(paragraph.toLowerCase())].filter(word => queryWords.has(word)).length
+    }))
+    .filter(note => note.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  let notesLength = 0;
+  notes.forEach(note => {
+    if (notesLength + note.paragraph.length <= MAX_PROFILE_NOTES_LENGTH) {
+      lines.push(`- ${note.paragraph.replace(/^[-*•]\s*/, '')}`);
+      notesLength += note.paragraph.length;
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Splits text into the set of meaningful words used for relevance matching
+ * @param {string} text Lowercase text
+ * @returns {Set<string>} Words of three or more letters that are not stopwords, cut to
+ *   their first six letters so that e.g. "certified" and "certifications" match
+ */
+function getProfileWords(text) {
+  return new Set(
+    (text.match(/[a-z0-9]{3,}/g) || [])
+      .filter(word => !PROFILE_STOPWORDS.has(word))
+      .map(word => word.substring(0, 6))
+  );
+}
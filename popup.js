@@ -1,28 +1,161 @@
 document.addEventListener('DOMContentLoaded', async () => {
+  const orgSelect = document.getElementById('org-select');
   const projectSelect = document.getElementById('project-select');
   const refreshButton = document.getElementById('refresh-projects');
+  const conversationModeSelect = document.getElementById('conversation-mode');
+  const existingConversationSetting = document.getElementById('existing-conversation-setting');
+  const existingConversationSelect = document.getElementById('existing-conversation');
+  const afterFillActionSelect = document.getElementById('after-fill-action');
+  const archiveProjectSetting = document.getElementById('archive-project-setting');
+  const archiveProjectSelect = document.getElementById('archive-project');
+  const deleteCreatedChatsButton = document.getElementById('delete-created-chats');
   const autoDetectCheckbox = document.getElementById('auto-detect');
+  const reviewCheckbox = document.getElementById('review-before-insert');
+  const showButtonCheckbox = document.getElementById('show-floating-button');
+  const ghostTextCheckbox = document.getElementById('ghost-text');
+  const editShortcutsLink = document.getElementById('edit-shortcuts');
+  const redactCheckbox = document.getElementById('redact-sensitive-data');
+  const redactionPatternsInput = document.getElementById('custom-redaction-patterns');
   const saveButton = document.getElementById('save-settings');
   const statusMessage = document.getElementById('status-message');
   const openClaudeButton = document.getElementById('open-claude');
   const loggedInElement = document.getElementById('logged-in');
   const notLoggedInElement = document.getElementById('not-logged-in');
   const usernameElement = document.getElementById('username');
+  const loginMessageElement = document.getElementById('login-message');
+  const providerSelect = document.getElementById('provider-select');
+  const anthropicSettingsElement = document.getElementById('anthropic-settings');
+  const anthropicApiKeyInput = document.getElementById('anthropic-api-key');
+  const anthropicModelInput = document.getElementById('anthropic-model');
+  const anthropicMaxTokensInput = document.getElementById('anthropic-max-tokens');
+  const anthropicSystemPromptInput = document.getElementById('anthropic-system-prompt');
+  const openAiSettingsElement = document.getElementById('openai-settings');
+  const openAiBaseUrlInput = document.getElementById('openai-base-url');
+  const openAiApiKeyInput = document.getElementById('openai-api-key');
+  const openAiModelInput = document.getElementById('openai-model');
+  const openAiSendImagesCheckbox = document.getElementById('openai-send-images');
+  const siteProviderSelect = document.getElementById('site-provider');
+  const fillAllButton = document.getElementById('fill-all-fields');
+  const templateSelect = document.getElementById('template-select');
+  const newTemplateButton = document.getElementById('new-template');
+  const templateNameInput = document.getElementById('template-name');
+  const templateBodyInput = document.getElementById('template-body');
+  const saveTemplateButton = document.getElementById('save-template');
+  const deleteTemplateButton = document.getElementById('delete-template');
+  const defaultTemplateSelect = document.getElementById('default-template');
+  const siteTemplateSelect = document.getElementById('site-template');
+  const currentSiteElements = document.querySelectorAll('.current-site');
+  const profileEnabledCheckbox = document.getElementById('profile-enabled');
+  const profileFieldsElement = document.getElementById('profile-fields');
+  const profileNotesInput = document.getElementById('profile-notes');
+  const saveProfileButton = document.getElementById('save-profile');
+  const siteRuleSelect = document.getElementById('site-rule-select');
+  const newSiteRuleButton = document.getElementById('new-site-rule');
+  const siteRuleDomainInput = document.getElementById('site-rule-domain');
+  const siteRuleModeSelect = document.getElementById('site-rule-mode');
+  const siteRuleIncludeInput = document.getElementById('site-rule-include');
+  const siteRuleExcludeInput = document.getElementById('site-rule-exclude');
+  const saveSiteRuleButton = document.getElementById('save-site-rule');
+  const deleteSiteRuleButton = document.getElementById('delete-site-rule');
   
-  // Check if user is logged in to Claude.ai
+  // Templates and site rules as currently stored, and the hostname of the tab the popup was opened on
+  let templates = [];
+  let siteRules = {};
+  const [currentTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const currentHostname = currentTab && currentTab.url ? new URL(currentTab.url).hostname : '';
+  
+  // Name the current site wherever a per-site setting is offered
+  currentSiteElements.forEach(element => {
+    element.textContent = currentHostname || 'this site';
+  });
+  
+  // Load saved settings, then check the login status for the chosen provider
+  await loadSettings();
   checkLoginStatus();
-
-  // Load saved settings
-  loadSettings();
+  
+  // Load prompt templates
+  loadTemplates();
+  
+  // Load the knowledge profile
+  loadProfile();
+  
+  // Load the site rules
+  loadSiteRules();
 
   // Event listeners
-  refreshButton.addEventListener('click', fetchProjects);
+  refreshButton.addEventListener('click', () => fetchProjects(true));
+  orgSelect.addEventListener('change', () => {
+    fetchProjects();
+    fetchConversations();
+  });
+  conversationModeSelect.addEventListener('change', showConversationSettings);
+  afterFillActionSelect.addEventListener('change', showConversationSettings);
+  deleteCreatedChatsButton.addEventListener('click', deleteCreatedChats);
   saveButton.addEventListener('click', saveSettings);
+  editShortcutsLink.addEventListener('click', (event) => {
+    // Extension pages can't link to chrome:// URLs directly
+    event.preventDefault();
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
   openClaudeButton.addEventListener('click', () => {
     chrome.tabs.create({ url: 'https://claude.ai' });
   });
+  fillAllButton.addEventListener('click', fillAllFields);
+  providerSelect.addEventListener('change', () => {
+    showProviderSettings();
+    checkLoginStatus();
+  });
+  siteProviderSelect.addEventListener('change', () => {
+    showProviderSettings();
+    checkLoginStatus();
+  });
+  templateSelect.addEventListener('change', showSelectedTemplate);
+  newTemplateButton.addEventListener('click', startNewTemplate);
+  saveTemplateButton.addEventListener('click', saveTemplate);
+  deleteTemplateButton.addEventListener('click', deleteTemplate);
+  saveProfileButton.addEventListener('click', saveProfile);
+  siteRuleSelect.addEventListener('change', showSelectedSiteRule);
+  newSiteRuleButton.addEventListener('click', startNewSiteRule);
+  saveSiteRuleButton.addEventListener('click', saveSelectedSiteRule);
+  deleteSiteRuleButton.addEventListener('click', deleteSelectedSiteRule);
+
+  async function fillAllFields() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return;
+    
+    if ((await getSiteRule(currentHostname)).mode === 'off') {
+      statusMessage.textContent = 'The extension is turned off on this site.';
+      return;
+    }
+    
+    try {
+      await chrome.tabs.sendMessage(tab.id, { action: 'fillAllFields' });
+      window.close();
+    } catch (error) {
+      console.error('Error starting fill all fields:', error);
+      statusMessage.textContent = 'Could not reach this page. Try reloading it.';
+    }
+  }
 
   async function checkLoginStatus() {
+    // The other providers don't use the claude.ai session
+    const provider = getEffectiveProvider();
+    if (provider !== 'claude-web') {
+      loggedInElement.classList.remove('hidden');
+      notLoggedInElement.classList.add('hidden');
+      if (provider === 'anthropic-api') {
+        loginMessageElement.textContent = anthropicApiKeyInput.value
+          ? 'Using the Anthropic API with your API key'
+          : 'Add your Anthropic API key below';
+      } else {
+        loginMessageElement.textContent = `Using the model at ${openAiBaseUrlInput.value || 'http://localhost:11434/v1'}`;
+      }
+      usernameElement.textContent = '';
+      return;
+    }
+    
+    loginMessageElement.textContent = "You're signed in to Claude.ai";
+    
     try {
       const isLoggedIn = await sendMessageToBackground({ action: 'checkLoginStatus' });
       
@@ -36,8 +169,10 @@ document.addEventListener('DOMContentLoaded', async () => {
           usernameElement.textContent = userInfo.name;
         }
         
-        // Load projects if logged in
+        // Load organizations, then the projects and chats of the selected one
+        await fetchOrganizations();
         fetchProjects();
+        fetchConversations();
       } else {
         loggedInElement.classList.add('hidden');
         notLoggedInElement.classList.remove('hidden');
@@ -47,11 +182,42 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
-  async function fetchProjects() {
+  async function fetchOrganizations() {
+    try {
+      const { organizations, selectedId } = await sendMessageToBackground({ action: 'getOrganizations' });
+      
+      orgSelect.innerHTML = '';
+      organizations.forEach(org => {
+        const option = document.createElement('option');
+        option.value = org.id;
+        option.textContent = org.name;
+        orgSelect.appendChild(option);
+      });
+      
+      if (selectedId) {
+        orgSelect.value = selectedId;
+      }
+      
+      // Nothing to choose between with a single organization
+      orgSelect.disabled = organizations.length < 2;
+    } catch (error) {
+      console.error('Error fetching organizations:', error);
+      orgSelect.innerHTML = '<option value="">Error loading organizations</option>';
+    }
+  }
+
+  async function fetchProjects(refresh = false) {
     try {
       projectSelect.innerHTML = '<option value="loading">Loading projects...</option>';
       
-      const projects = await sendMessageToBackground({ action: 'getProjects' });
+      // Projects belong to an organization, so list those of the selected one
+      const projects = await sendMessageToBackground({
+        action: 'getProjects',
+        orgId: orgSelect.value || null,
+        refresh
+      });
+      
+      fillArchiveProjectOptions(projects || []);
       
       if (projects && projects.length > 0) {
         projectSelect.innerHTML = '';
@@ -70,9 +236,9 @@ document.addEventListener('DOMContentLoaded', async () => {
           projectSelect.appendChild(option);
         });
         
-        // Select previously saved project if exists
+        // Select previously saved project if it is in this organization
         const settings = await chrome.storage.sync.get(['defaultProject']);
-        if (settings.defaultProject) {
+        if (settings.defaultProject && projects.some(project => project.id === settings.defaultProject)) {
           projectSelect.value = settings.defaultProject;
         }
       } else {
@@ -84,26 +250,449 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  async function fetchConversations() {
+    try {
+      existingConversationSelect.innerHTML = '<option value="">Loading chats...</option>';
+      
+      const conversations = await sendMessageToBackground({
+        action: 'getConversations',
+        orgId: orgSelect.value || null
+      });
+      
+      if (conversations && conversations.length > 0) {
+        existingConversationSelect.innerHTML = '';
+        
+        conversations.forEach(conversation => {
+          const option = document.createElement('option');
+          option.value = conversation.id;
+          option.textContent = conversation.name;
+          existingConversationSelect.appendChild(option);
+        });
+        
+        // Select the previously chosen chat if it is in this organization
+        const settings = await chrome.storage.sync.get(['existingConversationId']);
+        if (settings.existingConversationId && conversations.some(conversation => conversation.id === settings.existingConversationId)) {
+          existingConversationSelect.value = settings.existingConversationId;
+        }
+      } else {
+        existingConversationSelect.innerHTML = '<option value="">No chats found</option>';
+      }
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+      existingConversationSelect.innerHTML = '<option value="">Error loading chats</option>';
+    }
+  }
+
+  // List the projects finished chats can be moved into
+  async function fillArchiveProjectOptions(projects) {
+    archiveProjectSelect.innerHTML = '';
+    
+    if (projects.length === 0) {
+      archiveProjectSelect.innerHTML = '<option value="">No projects found</option>';
+      return;
+    }
+    
+    projects.forEach(project => {
+      const option = document.createElement('option');
+      option.value = project.id;
+      option.textContent = project.name;
+      archiveProjectSelect.appendChild(option);
+    });
+    
+    const settings = await chrome.storage.sync.get(['archiveProjectId']);
+    if (settings.archiveProjectId && projects.some(project => project.id === settings.archiveProjectId)) {
+      archiveProjectSelect.value = settings.archiveProjectId;
+    }
+  }
+
+  // The chat picker only matters when continuing an existing chat, and the
+  // project picker only when finished chats are moved
+  function showConversationSettings() {
+    existingConversationSetting.classList.toggle('hidden', conversationModeSelect.value !== 'existing');
+    archiveProjectSetting.classList.toggle('hidden', afterFillActionSelect.value !== 'move');
+  }
+
+  async function deleteCreatedChats() {
+    if (!confirm('Delete every claude.ai chat created by the extension? This cannot be undone.')) {
+      return;
+    }
+    
+    deleteCreatedChatsButton.disabled = true;
+    try {
+      const result = await sendMessageToBackground({ action: 'deleteCreatedConversations' });
+      if (result.error) {
+        showStatus('Error: ' + result.error);
+      } else if (result.failed > 0) {
+        showStatus(`Deleted ${result.deleted} chats, ${result.failed} could not be deleted`);
+      } else {
+        showStatus(`Deleted ${result.deleted} chats`);
+      }
+      fetchConversations();
+    } catch (error) {
+      console.error('Error deleting chats:', error);
+      showStatus('Error deleting chats');
+    } finally {
+      deleteCreatedChatsButton.disabled = false;
+    }
+  }
+
+  async function loadTemplates(selectedId = null) {
+    templates = await getPromptTemplates();
+    const settings = await chrome.storage.sync.get(['defaultTemplateId', 'siteTemplates']);
+    const siteTemplates = settings.siteTemplates || {};
+    
+    fillTemplateOptions(templateSelect, templates);
+    fillTemplateOptions(defaultTemplateSelect, templates);
+    fillTemplateOptions(siteTemplateSelect, templates, 'Use default template');
+    
+    templateSelect.value = selectedId || templates[0].id;
+    defaultTemplateSelect.value = settings.defaultTemplateId || 'default';
+    siteTemplateSelect.value = siteTemplates[currentHostname] || '';
+    
+    if (!currentHostname) {
+      siteTemplateSelect.disabled = true;
+    }
+    
+    showSelectedTemplate();
+  }
+
+  function fillTemplateOptions(select, options, emptyLabel = null) {
+    select.innerHTML = '';
+    
+    if (emptyLabel) {
+      const emptyOption = document.createElement('option');
+      emptyOption.value = '';
+      emptyOption.textContent = emptyLabel;
+      select.appendChild(emptyOption);
+    }
+    
+    options.forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.name;
+      select.appendChild(option);
+    });
+  }
+
+  function showSelectedTemplate() {
+    const template = templates.find(candidate => candidate.id === templateSelect.value);
+    if (!template) return;
+    
+    templateNameInput.value = template.name;
+    templateBodyInput.value = template.body;
+    
+    // Built-in templates can't be removed, only reset to their original text
+    deleteTemplateButton.textContent = template.builtIn ? 'Reset' : 'Delete';
+  }
+
+  function startNewTemplate() {
+    const option = document.createElement('option');
+    option.value = `custom-${Date.now()}`;
+    option.textContent = 'New template';
+    templateSelect.appendChild(option);
+    templateSelect.value = option.value;
+    
+    templateNameInput.value = '';
+    templateBodyInput.value = '{{pageContext}}\n\n{{question}}';
+    deleteTemplateButton.textContent = 'Delete';
+    templateNameInput.focus();
+  }
+
+  async function saveTemplate() {
+    const name = templateNameInput.value.trim();
+    const body = templateBodyInput.value.trim();
+    
+    if (!name || !body) {
+      showStatus('A template needs a name and a prompt');
+      return;
+    }
+    
+    await savePromptTemplate({ id: templateSelect.value, name, body });
+    await loadTemplates(templateSelect.value);
+    showStatus('Template saved!');
+  }
+
+  async function deleteTemplate() {
+    const templateId = templateSelect.value;
+    await deletePromptTemplate(templateId);
+    
+    const isBuiltIn = templates.some(template => template.id === templateId && template.builtIn);
+    await loadTemplates(isBuiltIn ? templateId : null);
+    showStatus(isBuiltIn ? 'Template reset' : 'Template deleted');
+  }
+
+  async function loadProfile() {
+    const profile = await getKnowledgeProfile();
+    
+    profileEnabledCheckbox.checked = profile.enabled !== false;
+    profileNotesInput.value = profile.notes || '';
+    
+    // One input per structured field
+    PROFILE_FIELDS.forEach(field => {
+      const input = document.createElement(field.long ? 'textarea' : 'input');
+      if (field.long) {
+        input.rows = 3;
+      } else {
+        input.type = 'text';
+      }
+      input.id = `profile-${field.key}`;
+      input.placeholder = field.label;
+      input.title = field.label;
+      input.value = profile[field.key] || '';
+      profileFieldsElement.appendChild(input);
+    });
+  }
+
+  async function saveProfile() {
+    const profile = {
+      enabled: profileEnabledCheckbox.checked,
+      notes: profileNotesInput.value.trim()
+    };
+    
+    PROFILE_FIELDS.forEach(field => {
+      profile[field.key] = document.getElementById(`profile-${field.key}`).value.trim();
+    });
+    
+    await saveKnowledgeProfile(profile);
+    showStatus('Profile saved!');
+  }
+
+  async function loadSiteRules(selectedDomain = null) {
+    siteRules = await getSiteRules();
+    
+    // Offer the current site even before it has a rule of its own
+    const currentDomain = normalizeSiteDomain(currentHostname);
+    const domains = Object.keys(siteRules).sort();
+    if (currentDomain && !domains.includes(currentDomain)) {
+      domains.unshift(currentDomain);
+    }
+    
+    siteRuleSelect.innerHTML = '';
+    domains.forEach(domain => {
+      const option = document.createElement('option');
+      option.value = domain;
+      option.textContent = siteRules[domain] ? domain : `${domain} (no rule)`;
+      siteRuleSelect.appendChild(option);
+    });
+    
+    // Start with the rule that applies to the current site
+    siteRuleSelect.value = selectedDomain || findSiteRule(currentHostname, siteRules).domain || currentDomain;
+    if (!siteRuleSelect.value && domains.length > 0) {
+      siteRuleSelect.value = domains[0];
+    }
+    
+    if (siteRuleModeSelect.options.length === 0) {
+      SITE_MODES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        siteRuleModeSelect.appendChild(option);
+      });
+    }
+    
+    showSelectedSiteRule();
+  }
+
+  function showSelectedSiteRule() {
+    const rule = siteRules[siteRuleSelect.value] || DEFAULT_SITE_RULE;
+    
+    siteRuleDomainInput.value = siteRuleSelect.value;
+    siteRuleModeSelect.value = rule.mode;
+    siteRuleIncludeInput.value = rule.include || '';
+    siteRuleExcludeInput.value = rule.exclude || '';
+    deleteSiteRuleButton.disabled = !siteRules[siteRuleSelect.value];
+  }
+
+  function startNewSiteRule() {
+    siteRuleSelect.value = '';
+    siteRuleDomainInput.value = '';
+    siteRuleModeSelect.value = 'off';
+    siteRuleIncludeInput.value = '';
+    siteRuleExcludeInput.value = '';
+    deleteSiteRuleButton.disabled = true;
+    siteRuleDomainInput.focus();
+  }
+
+  async function saveSelectedSiteRule() {
+    const domain = normalizeSiteDomain(siteRuleDomainInput.value);
+    if (!domain) {
+      showStatus('A rule needs a domain');
+      return;
+    }
+    
+    const rule = {
+      mode: siteRuleModeSelect.value,
+      include: siteRuleIncludeInput.value.trim(),
+      exclude: siteRuleExcludeInput.value.trim()
+    };
+    
+    // A broken selector would make the rule match nothing
+    for (const selector of [rule.include, rule.exclude].filter(Boolean)) {
+      try {
+        document.querySelector(selector);
+      } catch (error) {
+        showStatus(`Invalid selector: ${selector}`);
+        return;
+      }
+    }
+    
+    // Editing the domain of an existing rule moves it
+    if (siteRules[siteRuleSelect.value] && siteRuleSelect.value !== domain) {
+      await deleteSiteRule(siteRuleSelect.value);
+    }
+    
+    await saveSiteRule(domain, rule);
+    await loadSiteRules(domain);
+    showStatus('Rule saved! Reload the page to apply it');
+  }
+
+  async function deleteSelectedSiteRule() {
+    await deleteSiteRule(siteRuleSelect.value);
+    await loadSiteRules();
+    showStatus('Rule deleted');
+  }
+
+  function showStatus(message) {
+    statusMessage.textContent = message;
+    setTimeout(() => {
+      statusMessage.textContent = '';
+    }, 2000);
+  }
+
   async function loadSettings() {
-    const settings = await chrome.storage.sync.get(['defaultProject', 'autoDetect']);
+    const settings = await chrome.storage.sync.get([
+      'defaultProject',
+      'autoDetect',
+      'reviewBeforeInsert',
+      'provider',
+      'anthropicModel',
+      'anthropicMaxTokens',
+      'anthropicSystemPrompt',
+      'openaiBaseUrl',
+      'openaiModel',
+      'openaiSendImages',
+      'siteProviders',
+      'conversationMode',
+      'afterFillAction',
+      'redactSensitiveData',
+      'customRedactionPatterns',
+      'showFloatingButton',
+      'ghostTextEnabled'
+    ]);
+    const { anthropicApiKey, openaiApiKey } = await chrome.storage.local.get(['anthropicApiKey', 'openaiApiKey']);
+    
+    providerSelect.value = settings.provider || 'claude-web';
+    anthropicApiKeyInput.value = anthropicApiKey || '';
+    anthropicModelInput.value = settings.anthropicModel || '';
+    anthropicMaxTokensInput.value = settings.anthropicMaxTokens || '';
+    anthropicSystemPromptInput.value = settings.anthropicSystemPrompt || '';
+    openAiBaseUrlInput.value = settings.openaiBaseUrl || '';
+    openAiApiKeyInput.value = openaiApiKey || '';
+    openAiModelInput.value = settings.openaiModel || '';
+    openAiSendImagesCheckbox.checked = !!settings.openaiSendImages;
+    siteProviderSelect.value = (settings.siteProviders || {})[currentHostname] || '';
+    siteProviderSelect.disabled = !currentHostname;
+    showProviderSettings();
+    conversationModeSelect.value = settings.conversationMode || 'new';
+    afterFillActionSelect.value = settings.afterFillAction || 'keep';
+    showConversationSettings();
     
     if (settings.autoDetect !== undefined) {
       autoDetectCheckbox.checked = settings.autoDetect;
     }
+    
+    if (settings.reviewBeforeInsert !== undefined) {
+      reviewCheckbox.checked = settings.reviewBeforeInsert;
+    }
+    
+    showButtonCheckbox.checked = settings.showFloatingButton !== false;
+    ghostTextCheckbox.checked = settings.ghostTextEnabled === true;
+    redactCheckbox.checked = settings.redactSensitiveData !== false;
+    redactionPatternsInput.value = settings.customRedactionPatterns || '';
+  }
+
+  // The provider used on the current site: its own assignment, else the default
+  function getEffectiveProvider() {
+    return siteProviderSelect.value || providerSelect.value;
+  }
+
+  // Show the options of every provider in use, globally or on this site
+  function showProviderSettings() {
+    const providersInUse = [providerSelect.value, siteProviderSelect.value];
+    anthropicSettingsElement.classList.toggle('hidden', !providersInUse.includes('anthropic-api'));
+    openAiSettingsElement.classList.toggle('hidden', !providersInUse.includes('openai-compatible'));
   }
 
   async function saveSettings() {
+    // A pattern that doesn't compile would silently redact nothing
+    const { invalid } = parseRedactionPatterns(redactionPatternsInput.value);
+    if (invalid.length > 0) {
+      showStatus(`Invalid redaction pattern: ${invalid[0]}`);
+      return;
+    }
+    
     const settings = {
       defaultProject: projectSelect.value,
-      autoDetect: autoDetectCheckbox.checked
+      autoDetect: autoDetectCheckbox.checked,
+      reviewBeforeInsert: reviewCheckbox.checked,
+      showFloatingButton: showButtonCheckbox.checked,
+      ghostTextEnabled: ghostTextCheckbox.checked,
+      redactSensitiveData: redactCheckbox.checked,
+      customRedactionPatterns: redactionPatternsInput.value.trim(),
+      conversationMode: conversationModeSelect.value,
+      afterFillAction: afterFillActionSelect.value,
+      defaultTemplateId: defaultTemplateSelect.value,
+      provider: providerSelect.value,
+      anthropicModel: anthropicModelInput.value.trim(),
+      anthropicMaxTokens: parseInt(anthropicMaxTokensInput.value, 10) || null,
+      anthropicSystemPrompt: anthropicSystemPromptInput.value.trim(),
+      openaiBaseUrl: openAiBaseUrlInput.value.trim(),
+      openaiModel: openAiModelInput.value.trim(),
+      openaiSendImages: openAiSendImagesCheckbox.checked
     };
     
+    // Remember the organization that projects and conversations are scoped to
+    if (orgSelect.value) {
+      settings.selectedOrgId = orgSelect.value;
+    }
+    
+    // Keep the chosen chat and archive project unless their lists failed to load
+    if (existingConversationSelect.value) {
+      settings.existingConversationId = existingConversationSelect.value;
+    }
+    if (archiveProjectSelect.value) {
+      settings.archiveProjectId = archiveProjectSelect.value;
+    }
+    
+    // API keys stay on this device instead of syncing with the other settings
+    await chrome.storage.local.set({
+      anthropicApiKey: anthropicApiKeyInput.value.trim(),
+      openaiApiKey: openAiApiKeyInput.value.trim()
+    });
+    
+    // Assign (or clear) the template for the current site
+    if (currentHostname) {
+      const { siteTemplates = {} } = await chrome.storage.sync.get(['siteTemplates']);
+      if (siteTemplateSelect.value) {
+        siteTemplates[currentHostname] = siteTemplateSelect.value;
+      } else {
+        delete siteTemplates[currentHostname];
+      }
+      settings.siteTemplates = siteTemplates;
+      
+      // Assign (or clear) the provider for the current site
+      const { siteProviders = {} } = await chrome.storage.sync.get(['siteProviders']);
+      if (siteProviderSelect.value) {
+        siteProviders[currentHostname] = siteProviderSelect.value;
+      } else {
+        delete siteProviders[currentHostname];
+      }
+      settings.siteProviders = siteProviders;
+    }
+    
     await chrome.storage.sync.set(settings);
     
-    statusMessage.textContent = 'Settings saved!';
-    setTimeout(() => {
-      statusMessage.textContent = '';
-    }, 2000);
+    showStatus('Settings saved!');
   }
 
   async function sendMessageToBackground(message) {
@@ -0,0 +1,156 @@
+// Prompt templates shared by the popup and the content scripts
+
+// Placeholders that can be used in a template body as {{name}}
+const PROMPT_PLACEHOLDERS = ['question', 'pageContext', 'fieldLabel', 'existingValue', 'profile'];
+
+// Templates that ship with the extension. Users can override them by saving a template with the same ID.
+const DEFAULT_PROMPT_TEMPLATES = [
+  {
+    id: 'default',
+    name: 'Default',
+    builtIn: true,
+    body: `I need help filling out a form field. I'll provide context from the current webpage and my specific question.
+
+## Current Webpage Context:
+{{pageContext}}
+
+## My Question:
+{{question}}
+
+## Instructions:
+1. Review the webpage context (and the screenshot, if provided) to understand what I'm filling out.
+2. Provide a direct, focused answer to my question based on the context.
+3. IMPORTANT: Answer ONLY the question without any introductions, explanations, or conclusions.
+4. Do not include phrases like "Based on the context" or "According to the webpage".
+5. Keep your answer concise and to the point.
+6. Only give me the exact text that should be entered into the form field.
+7. If you're uncertain about any aspect, make a reasonable best effort.
+
+Just provide the exact text for the form field:`
+  },
+  {
+    id: 'cover-letter',
+    name: 'Cover letter tone',
+    builtIn: true,
+    body: `I'm applying for a position and need to answer the application field "{{fieldLabel}}".
+
+## Page Context:
+{{pageContext}}
+
+## Question:
+{{question}}
+
+Write the answer in a warm, confident and professional first-person voice, as you would in a strong cover letter. Be specific rather than generic and avoid clichés. Reply with only the text for the field.`
+  },
+  {
+    id: 'bug-report',
+    name: 'Terse bug report',
+    builtIn: true,
+    body: `Help me fill in the field "{{fieldLabel}}" of a bug report.
+
+## Page Context:
+{{pageContext}}
+
+## What I want to report:
+{{question}}
+
+## What is in the field so far:
+{{existingValue}}
+
+Write in a terse, factual style: short sentences, no pleasantries, steps as a numbered list where relevant. Reply with only the text for the field.`
+  },
+  {
+    id: 'support-reply',
+    name: 'Customer support reply',
+    builtIn: true,
+    body: `I'm a customer support agent writing a reply in the field "{{fieldLabel}}".
+
+## Ticket and Page Context:
+{{pageContext}}
+
+## What the reply should cover:
+{{question}}
+
+## Current draft:
+{{existingValue}}
+
+Write a friendly, empathetic and clear reply that resolves the customer's issue. Keep it concise and end with an offer to help further. Reply with only the text of the message.`
+  }
+];
+
+/**
+ * Gets all prompt templates: the built-in ones merged with the user's saved templates
+ * @returns {Promise<Array<Object>>} Templates of the form { id, name, body, builtIn }
+ */
+async function getPromptTemplates() {
+  const { promptTemplates = [] } = await chrome.storage.local.get(['promptTemplates']);
+
+  const templates = DEFAULT_PROMPT_TEMPLATES.map(builtIn =>
+    promptTemplates.find(saved => saved.id === builtIn.id) || builtIn
+  );
+
+  promptTemplates.forEach(saved => {
+    if (!DEFAULT_PROMPT_TEMPLATES.some(builtIn => builtIn.id === saved.id)) {
+      templates.push(saved);
+    }
+  });
+
+  return templates;
+}
+
+/**
+ * Saves a template, replacing any saved template with the same ID
+ * @param {Object} template The template to save ({ id, name, body })
+ */
+async function savePromptTemplate(template) {
+  const { promptTemplates = [] } = await chrome.storage.local.get(['promptTemplates']);
+  const isBuiltIn = DEFAULT_PROMPT_TEMPLATES.some(builtIn => builtIn.id === template.id);
+
+  const updated = promptTemplates.filter(saved => saved.id !== template.id);
+  updated.push({ id: template.id, name: template.name, body: template.body, builtIn: isBuiltIn });
+
+  await chrome.storage.local.set({ promptTemplates: updated });
+}
+
+/**
+ * Deletes a saved template. For built-in templates this restores the original version.
+ * @param {string} templateId The ID of the template to delete
+ */
+async function deletePromptTemplate(templateId) {
+  const { promptTemplates = [] } = await chrome.storage.local.get(['promptTemplates']);
+  await chrome.storage.local.set({
+    promptTemplates: promptTemplates.filter(saved => saved.id !== templateId)
+  });
+}
+
+/**
+ * Gets the template to use on a site: the one assigned to the site, else the default template
+ * @param {string} hostname The site's hostname
+ * @returns {Promise<Object>} The template
+ */
+async function getTemplateForSite(hostname) {
+  const templates = await getPromptTemplates();
+  const { siteTemplates = {}, defaultTemplateId } = await chrome.storage.sync.get(['siteTemplates', 'defaultTemplateId']);
+
+  const templateId = siteTemplates[hostname] || defaultTemplateId || 'default';
+  return templates.find(template => template.id === templateId) || templates[0];
+}
+
+/**
+ * Fills in a template's {{placeholders}}
+ * @param {string} body The template body
+ * @param {Object} values Values keyed by placeholder name
+ * @returns {string} The rendered prompt
+ */
+function renderPromptTemplate(body, values) {
+  // Without the question the prompt is useless, so add it if the template leaves it out
+  let template = body;
+  if (!template.includes('{{question}}')) {
+    template += '\n\n## My Question:\n{{question}}';
+  }
+
+  // Replace in one pass so placeholder-like text inside the values is left alone
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    PROMPT_PLACEHOLDERS.includes(name) ? (values[name] || '') : match
+  );
+}
@@ -0,0 +1,95 @@
+// Anthropic API provider: calls the public Messages API with the user's API key
+
+const ANTHROPIC_API = {
+  BASE_URL: 'https://api.anthropic.com',
+  MESSAGES: '/v1/messages',
+  VERSION: '2023-06-01'
+};
+
+const ANTHROPIC_DEFAULT_MODEL = 'claude-sonnet-4-5';
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 1024;
+
+// Provider that sends each question as a single Messages API request
+const anthropicApiProvider = {
+  id: 'anthropic-api',
+  name: 'Anthropic API (API key)',
+  // Takes throwaway requests, such as suggestions while typing
+  supportsEphemeral: true,
+
+  async ask(request, settings) {
+    if (!settings.anthropicApiKey) {
+      // Treated like a rejected key, so callers can tell the user to set one up
+      throw createProviderError(PROVIDER_ERRORS.NOT_LOGGED_IN, 'Add your Anthropic API key in the extension settings');
+    }
+
+    // Images go first so the question can refer to them
+    const content = request.images.map(image => ({
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: image.mediaType,
+        data: image.data
+      }
+    }));
+    content.push({ type: 'text', text: request.prompt });
+
+    // A follow-up continues the transcript of the earlier conversation
+    const history = request.followUp ? await loadTranscript(request.followUp.conversationId) : [];
+    const messages = [...history, { role: 'user', content }];
+
+    const body = {
+      model: settings.anthropicModel || ANTHROPIC_DEFAULT_MODEL,
+      max_tokens: Number(settings.anthropicMaxTokens) || ANTHROPIC_DEFAULT_MAX_TOKENS,
+      stream: true,
+      messages
+    };
+    if (settings.anthropicSystemPrompt) {
+      body.system = settings.anthropicSystemPrompt;
+    }
+
+    const response = await fetchWithRetry(`${ANTHROPIC_API.BASE_URL}${ANTHROPIC_API.MESSAGES}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': settings.anthropicApiKey,
+        'anthropic-version': ANTHROPIC_API.VERSION,
+        // Required for requests made from a browser context such as an extension
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: JSON.stringify(body),
+      signal: request.signal
+    }, 'the Anthropic API', 'send the message');
+
+    let answer = '';
+    await readEventStream(response, (event) => {
+      const payload = JSON.parse(event.data);
+
+      if (payload.type === 'error') {
+        throw createStreamError(payload.error, 'the Anthropic API');
+      }
+
+      if (payload.type === 'content_block_delta' && payload.delta && payload.delta.type === 'text_delta') {
+        answer += payload.delta.text;
+        if (request.onChunk) {
+          request.onChunk(answer);
+        }
+      }
+    });
+
+    // Throwaway requests, such as ghost-text suggestions, are never followed up
+    if (request.ephemeral) {
+      return { answer, conversationId: null, chatUrl: null, newConversationCreated: false };
+    }
+
+    // Keep the transcript so the answer can be refined with follow-up instructions
+    const conversationId = request.followUp ? request.followUp.conversationId : crypto.randomUUID();
+    await saveTranscript(conversationId, [...messages, { role: 'assistant', content: answer }]);
+
+    return {
+      answer,
+      conversationId,
+      chatUrl: null,
+      newConversationCreated: false
+    };
+  }
+};
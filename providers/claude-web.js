@@ -0,0 +1,691 @@
+// Claude.ai provider: talks to the claude.ai web app using the signed-in browser session
+
+// Claude.ai API interaction endpoints
+const CLAUDE_API = {
+  BASE_URL: 'https://claude.ai',
+  ORGANIZATIONS: '/api/organizations',
+  CHAT_LIST: '/api/organizations/{orgId}/chat_conversations',
+  CHAT: '/api/organizations/{orgId}/chat_conversations/{chatId}?tree=True&rendering_mode=messages',
+  CONVERSATION: '/api/organizations/{orgId}/chat_conversations/{chatId}',
+  SEND_MESSAGE: '/api/organizations/{orgId}/chat_conversations/{chatId}/completion',
+  STOP_RESPONSE: '/api/organizations/{orgId}/chat_conversations/{chatId}/stop_response',
+  PROJECTS: '/api/organizations/{orgId}/projects'
+};
+
+// Parent of the first message in a conversation
+const ROOT_MESSAGE_UUID = '00000000-0000-4000-8000-000000000000';
+
+// How long claude.ai gets for calls other than completions, which time out in askClaude instead
+const CLAUDE_API_TIMEOUT = 30000;
+
+// Number of created chats and reused conversations to remember; the oldest are forgotten
+// beyond these limits
+const MAX_CREATED_CONVERSATIONS = 500;
+const MAX_CONVERSATION_THREADS = 100;
+
+// Organizations of the signed-in user, and projects cached per organization ID
+let cachedOrganizations = null;
+const cachedProjects = {};
+
+// Updates to the conversation state in local storage still to be written. Each one reads,
+// changes and writes the state, so they run one at a time to keep concurrent requests from
+// losing each other's changes.
+let conversationStorageQueue = Promise.resolve();
+
+// Check if the user is logged in to Claude.ai
+async function checkLoginStatus() {
+  try {
+    // Try to get organizations - this will fail if not logged in
+    cachedOrganizations = await fetchOrganizations();
+    return !!cachedOrganizations;
+  } catch (error) {
+    console.error('Error checking login status:', error);
+    return false;
+  }
+}
+
+// Get the user info from Claude.ai
+async function getUserInfo() {
+  try {
+    const orgs = await getOrganizationList();
+    const orgId = await getCurrentOrgId();
+    const org = orgs.find(candidate => candidate.uuid === orgId);
+    
+    // Return the name of the organization the extension works in
+    return org ? { name: org.name } : null;
+  } catch (error) {
+    console.error('Error getting user info:', error);
+    return null;
+  }
+}
+
+// List the user's organizations along with the one currently in use
+async function getOrganizations() {
+  try {
+    const orgs = await getOrganizationList();
+    return {
+      organizations: orgs.map(org => ({ id: org.uuid, name: org.name })),
+      selectedId: await getCurrentOrgId()
+    };
+  } catch (error) {
+    console.error('Error getting organizations:', error);
+    return { organizations: [], selectedId: null };
+  }
+}
+
+// Get the organizations, fetching them the first time. The signal cancels the fetch.
+async function getOrganizationList(signal = null) {
+  if (!cachedOrganizations) {
+    cachedOrganizations = await fetchOrganizations(signal);
+  }
+  return cachedOrganizations;
+}
+
+// Get the organization to work in: the one chosen in the popup, else the first one
+async function getCurrentOrgId(signal = null) {
+  const orgs = await getOrganizationList(signal);
+  if (!orgs || orgs.length === 0) {
+    throw new Error('No organizations found');
+  }
+  
+  const { selectedOrgId } = await chrome.storage.sync.get(['selectedOrgId']);
+  const selectedOrg = orgs.find(org => org.uuid === selectedOrgId);
+  
+  return (selectedOrg || orgs[0]).uuid;
+}
+
+// Fetch available projects in an organization (the current one by default)
+async function getProjects(orgId = null, refresh = false) {
+  try {
+    const projectOrgId = orgId || await getCurrentOrgId();
+    
+    // Use cached projects if available
+    if (cachedProjects[projectOrgId] && !refresh) {
+      return cachedProjects[projectOrgId];
+    }
+    
+    const projects = (await fetchProjects(projectOrgId)).map(project => ({
+      id: project.uuid,
+      name: project.name || 'Untitled Project',
+      lastUpdated: new Date(project.updated_at)
+    }));
+    
+    // Sort by last updated date (newest first)
+    projects.sort((a, b) => b.lastUpdated - a.lastUpdated);
+    
+    // Cache the projects
+    cachedProjects[projectOrgId] = projects;
+    
+    return projects;
+  } catch (error) {
+    console.error('Error getting projects:', error);
+    return [];
+  }
+}
+
+// List recent conversations in an organization (the current one by default)
+async function getConversations(orgId = null) {
+  try {
+    const conversationOrgId = orgId || await getCurrentOrgId();
+    const conversations = await fetchConversations(conversationOrgId);
+    
+    return conversations
+      .map(conversation => ({
+        id: conversation.uuid,
+        name: conversation.name || 'Untitled Conversation',
+        lastUpdated: new Date(conversation.updated_at)
+      }))
+      .sort((a, b) => b.lastUpdated - a.lastUpdated);
+  } catch (error) {
+    console.error('Error getting conversations:', error);
+    return [];
+  }
+}
+
+// Provider that sends each question as a claude.ai conversation
+const claudeWebProvider = {
+  id: 'claude-web',
+  name: 'Claude.ai (signed-in session)',
+  // Every throwaway request, such as a suggestion while typing, would create and delete a chat
+  // and count against the user's usage limit, so they are refused
+  supportsEphemeral: false,
+  
+  // Ask Claude a question and get the response
+  async ask(request, settings) {
+    // Work in the organization chosen in the popup
+    const orgId = await getCurrentOrgId(request.signal);
+    
+    // Find the conversation to continue, if the conversation mode reuses one
+    const thread = await resolveConversationThread(orgId, request, settings);
+    
+    // A follow-up is a threaded reply to an earlier answer. It only updates the saved
+    // thread when it continues the conversation the thread points at.
+    if (request.followUp) {
+      if (thread.conversationId !== request.followUp.conversationId) {
+        thread.key = null;
+      }
+      thread.conversationId = request.followUp.conversationId;
+      thread.parentMessageUuid = request.followUp.parentMessageUuid ||
+                                 await fetchLeafMessageUuid(orgId, request.followUp.conversationId, request.signal);
+    }
+    
+    let conversationId = thread.conversationId;
+    let newConversationCreated = false;
+    
+    if (!conversationId) {
+      // A conversation shared by a whole page is named after the page; otherwise use the
+      // provided conversation title or fallback to a generic one
+      const conversationName = (thread.key && request.pageTitle ? `Form: ${request.pageTitle.substring(0, 60)}` : request.conversationTitle) ||
+                               `Form Assistant - ${new Date().toLocaleString()}`;
+      
+      conversationId = await createConversation(orgId, request.projectId, conversationName, request.signal);
+      newConversationCreated = true;
+      
+      // Keep track of our conversations so they can be cleaned up later
+      await trackCreatedConversation(orgId, conversationId);
+    }
+    
+    // Send the message to Claude, streaming partial text back as it arrives. Failures such as an
+    // overloaded model are retried, unless part of the answer has already been shown.
+    let streamed = false;
+    let sent;
+    try {
+      sent = await withRetry(() => sendMessage(orgId, conversationId, request.prompt, {
+        images: request.images,
+        onChunk: (text) => {
+          streamed = true;
+          if (request.onChunk) {
+            request.onChunk(text);
+          }
+        },
+        parentMessageUuid: thread.parentMessageUuid,
+        signal: request.signal
+      }), { signal: request.signal, shouldRetry: () => !streamed });
+    } catch (error) {
+      // Dropping the connection doesn't stop Claude writing, so tell claude.ai to stop too.
+      // A chat made just for this request is deleted instead, since nobody will see its answer.
+      if (request.signal && request.signal.aborted) {
+        if (newConversationCreated) {
+          discardConversation(orgId, conversationId);
+        } else {
+          stopResponse(orgId, conversationId);
+        }
+      }
+      throw error;
+    }
+    const { answer, messageUuid } = sent;
+    
+    // Remember where the conversation ended so the next message threads onto this answer
+    if (thread.key) {
+      await saveConversationThread(thread.key, {
+        orgId,
+        conversationId,
+        lastMessageUuid: messageUuid || await fetchLeafMessageUuid(orgId, conversationId, request.signal)
+      });
+    }
+    
+    return {
+      answer,
+      conversationId,
+      messageUuid,
+      chatUrl: `${CLAUDE_API.BASE_URL}/chat/${conversationId}`,
+      newConversationCreated
+    };
+  }
+};
+
+// Tidy up a conversation once its answer has been used, as set by the after-fill action:
+// - 'keep': leave it alone
+// - 'delete': delete it
+// - 'move': move it into the archive project
+// Only conversations created by the extension are touched, and never ones a conversation
+// mode keeps reusing.
+async function finishConversation(conversationId, settings) {
+  const action = settings.afterFillAction || 'keep';
+  if (action === 'keep' || !conversationId) {
+    return { action: 'keep' };
+  }
+  
+  const createdConversations = await getCreatedConversations();
+  const conversation = createdConversations.find(created => created.id === conversationId);
+  if (!conversation || await isConversationThreadInUse(conversationId)) {
+    return { action: 'keep' };
+  }
+  
+  if (action === 'delete') {
+    await deleteConversation(conversation.orgId, conversationId);
+    await untrackCreatedConversations([conversationId]);
+    return { action: 'delete' };
+  }
+  
+  if (action === 'move' && settings.archiveProjectId) {
+    await moveConversationToProject(conversation.orgId, conversationId, settings.archiveProjectId);
+    return { action: 'move' };
+  }
+  
+  return { action: 'keep' };
+}
+
+// Delete a conversation the extension created for a single request. One that can't be deleted
+// stays tracked, so "Delete all chats created by the extension" still catches it.
+async function discardConversation(orgId, conversationId) {
+  try {
+    await deleteConversation(orgId, conversationId);
+    await untrackCreatedConversations([conversationId]);
+  } catch (error) {
+    console.error(`Error deleting conversation ${conversationId}:`, error);
+  }
+}
+
+// Delete every conversation the extension has created, in any organization
+async function deleteCreatedConversations() {
+  const createdConversations = await getCreatedConversations();
+  const deletedIds = [];
+  let failed = 0;
+  
+  for (const conversation of createdConversations) {
+    try {
+      await deleteConversation(conversation.orgId, conversation.id);
+      deletedIds.push(conversation.id);
+    } catch (error) {
+      console.error(`Error deleting conversation ${conversation.id}:`, error);
+      failed++;
+    }
+  }
+  
+  await untrackCreatedConversations(deletedIds);
+  
+  return { deleted: deletedIds.length, failed };
+}
+
+// List the conversations created by the extension as { orgId, id, createdAt }
+async function getCreatedConversations() {
+  const { createdConversations = [] } = await chrome.storage.local.get(['createdConversations']);
+  return createdConversations;
+}
+
+// Remember a conversation created by the extension, forgetting the oldest beyond the limit
+function trackCreatedConversation(orgId, conversationId) {
+  return updateConversationStorage(['createdConversations'], ({ createdConversations = [] }) => {
+    createdConversations.push({ orgId, id: conversationId, createdAt: Date.now() });
+    return { createdConversations: createdConversations.slice(-MAX_CREATED_CONVERSATIONS) };
+  });
+}
+
+// Forget deleted conversations, including any reuse state that points at them
+function untrackCreatedConversations(conversationIds) {
+  return updateConversationStorage(['createdConversations', 'conversationThreads'],
+    ({ createdConversations = [], conversationThreads = {} }) => {
+      Object.keys(conversationThreads).forEach(key => {
+        if (conversationIds.includes(conversationThreads[key].conversationId)) {
+          delete conversationThreads[key];
+        }
+      });
+      
+      return {
+        createdConversations: createdConversations.filter(created => !conversationIds.includes(created.id)),
+        conversationThreads
+      };
+    });
+}
+
+// Read keys from local storage, pass them to update and save the changes it returns, once the
+// updates queued before it are written
+function updateConversationStorage(keys, update) {
+  const write = conversationStorageQueue.then(async () => {
+    const values = await chrome.storage.local.get(keys);
+    await chrome.storage.local.set(update(values));
+  });
+  
+  // A failed write is reported to its caller and doesn't hold up the ones after it
+  conversationStorageQueue = write.catch(() => {});
+  return write;
+}
+
+// Check whether a conversation is being reused for a page or form
+async function isConversationThreadInUse(conversationId) {
+  const { conversationThreads = {} } = await chrome.storage.local.get(['conversationThreads']);
+  return Object.values(conversationThreads).some(thread => thread.conversationId === conversationId);
+}
+
+// Work out which conversation a request goes to, based on the conversation mode:
+// - 'new': a new conversation for every fill
+// - 'page': one conversation per page/form, keyed by the conversation key the content script sends
+// - 'existing': continue the conversation chosen in the popup
+// Returns { key, conversationId, parentMessageUuid }; conversationId is null when a new one is needed.
+async function resolveConversationThread(orgId, request, settings) {
+  const mode = settings.conversationMode || 'new';
+  
+  if (mode === 'existing' && settings.existingConversationId) {
+    const key = `existing:${settings.existingConversationId}`;
+    const thread = await getConversationThread(key);
+    
+    // First use of the conversation: thread onto whatever its latest message is
+    const parentMessageUuid = thread && thread.orgId === orgId
+      ? thread.lastMessageUuid
+      : await fetchLeafMessageUuid(orgId, settings.existingConversationId, request.signal);
+    
+    return { key, conversationId: settings.existingConversationId, parentMessageUuid };
+  }
+  
+  if (mode === 'page' && request.conversationKey) {
+    const key = `page:${request.conversationKey}`;
+    const thread = await getConversationThread(key);
+    
+    if (thread && thread.orgId === orgId) {
+      return { key, conversationId: thread.conversationId, parentMessageUuid: thread.lastMessageUuid };
+    }
+    return { key, conversationId: null, parentMessageUuid: ROOT_MESSAGE_UUID };
+  }
+  
+  return { key: null, conversationId: null, parentMessageUuid: ROOT_MESSAGE_UUID };
+}
+
+// Read the saved state of a reused conversation
+async function getConversationThread(key) {
+  const { conversationThreads = {} } = await chrome.storage.local.get(['conversationThreads']);
+  return conversationThreads[key] || null;
+}
+
+// Save the state of a reused conversation, forgetting the least recently used beyond the limit
+function saveConversationThread(key, thread) {
+  return updateConversationStorage(['conversationThreads'], ({ conversationThreads = {} }) => {
+    conversationThreads[key] = { ...thread, updatedAt: Date.now() };
+    
+    Object.keys(conversationThreads)
+      .sort((a, b) => (conversationThreads[b].updatedAt || 0) - (conversationThreads[a].updatedAt || 0))
+      .slice(MAX_CONVERSATION_THREADS)
+      .forEach(oldKey => delete conversationThreads[oldKey]);
+    
+    return { conversationThreads };
+  });
+}
+
+// Get the UUID of the latest message in a conversation. The signal cancels the fetch.
+async function fetchLeafMessageUuid(orgId, conversationId, signal = null) {
+  const url = `${CLAUDE_API.BASE_URL}${CLAUDE_API.CHAT.replace('{orgId}', orgId).replace('{chatId}', conversationId)}`;
+  
+  const response = await fetchWithRetry(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    credentials: 'include',
+    signal: createCallSignal(signal)
+  }, 'claude.ai', 'load the conversation');
+  
+  const conversation = await response.json();
+  return conversation.current_leaf_message_uuid || ROOT_MESSAGE_UUID;
+}
+
+// Fetch organizations from Claude.ai. The signal cancels the fetch.
+async function fetchOrganizations(signal = null) {
+  const response = await fetchWithRetry(`${CLAUDE_API.BASE_URL}${CLAUDE_API.ORGANIZATIONS}`, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    credentials: 'include',
+    signal: createCallSignal(signal)
+  }, 'claude.ai', 'load your organizations');
+  
+  return await response.json();
+}
+
+// Fetch projects from Claude.ai
+async function fetchProjects(orgId) {
+  const url = `${CLAUDE_API.BASE_URL}${CLAUDE_API.PROJECTS.replace('{orgId}', orgId)}`;
+  
+  const response = await fetchWithRetry(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    credentials: 'include',
+    signal: AbortSignal.timeout(CLAUDE_API_TIMEOUT)
+  }, 'claude.ai', 'load your projects');
+  
+  return await response.json();
+}
+
+// Fetch recent conversations from Claude.ai
+async function fetchConversations(orgId) {
+  const url = `${CLAUDE_API.BASE_URL}${CLAUDE_API.CHAT_LIST.replace('{orgId}', orgId)}?limit=50`;
+  
+  const response = await fetchWithRetry(url, {
+    method: 'GET',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    credentials: 'include',
+    signal: AbortSignal.timeout(CLAUDE_API_TIMEOUT)
+  }, 'claude.ai', 'load your conversations');
+  
+  return await response.json();
+}
+
+// Create a new conversation on Claude.ai. The signal cancels the request.
+async function createConversation(orgId, projId, name = null, signal = null) {
+  const url = `${CLAUDE_API.BASE_URL}${CLAUDE_API.CHAT_LIST.replace('{orgId}', orgId)}`;
+  
+  const conversationName = name || `Form Assistant - ${new Date().toLocaleString()}`;
+
+  const uuid = crypto.randomUUID();
+  const init = {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    credentials: 'include',
+    body: JSON.stringify({
+      name: conversationName,
+      include_conversation_preferences: true,
+      project_uuid: projId,
+      uuid: uuid,
+    }),
+    signal: createCallSignal(signal)
+  };
+  
+  let attempts = 0;
+  let response;
+  try {
+    response = await withRetry(async () => {
+      attempts++;
+      try {
+        return await fetchChecked(url, init, 'claude.ai', 'start a new chat');
+      } catch (error) {
+        // An attempt can create the chat and still fail on the way back, in which case
+        // the retry finds the chat already there under our uuid
+        if (attempts > 1 && error.status === 409) {
+          return null;
+        }
+        throw error;
+      }
+    }, { signal: init.signal });
+  } catch (error) {
+    // The cancel may have come after claude.ai created the chat, so make sure it is gone
+    if (signal && signal.aborted) {
+      discardConversation(orgId, uuid);
+      throw error;
+    }
+    
+    // Login, usage limit and connection problems keep their own, more specific errors
+    if (error.code !== PROVIDER_ERRORS.REQUEST_FAILED) {
+      throw error;
+    }
+    throw createProviderError(PROVIDER_ERRORS.CONVERSATION_CREATE_FAILED,
+      `Couldn't start a new chat on claude.ai (${error.status}). Check that the project chosen in the extension settings still exists, then try again.`,
+      { status: error.status });
+  }
+  if (response) {
+    await response.json();
+  }
+  
+  return uuid;
+}
+
+// Delete a conversation on Claude.ai. One that is already gone counts as deleted.
+async function deleteConversation(orgId, conversationId) {
+  const url = `${CLAUDE_API.BASE_URL}${CLAUDE_API.CONVERSATION.replace('{orgId}', orgId).replace('{chatId}', conversationId)}`;
+  
+  try {
+    await fetchWithRetry(url, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      credentials: 'include',
+      signal: AbortSignal.timeout(CLAUDE_API_TIMEOUT)
+    }, 'claude.ai', 'delete the conversation');
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+}
+
+// Move a conversation into a project on Claude.ai
+async function moveConversationToProject(orgId, conversationId, projectId) {
+  const url = `${CLAUDE_API.BASE_URL}${CLAUDE_API.CONVERSATION.replace('{orgId}', orgId).replace('{chatId}', conversationId)}`;
+  
+  await fetchWithRetry(url, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    credentials: 'include',
+    body: JSON.stringify({
+      project_uuid: projectId
+    }),
+    signal: AbortSignal.timeout(CLAUDE_API_TIMEOUT)
+  }, 'claude.ai', 'move the conversation');
+}
+
+// Send a message to Claude and read the streamed response.
+// Options: images to attach, onChunk for partial answers, the message to reply to, and an
+// AbortSignal that cancels the request.
+// Returns the answer and, when the stream reports it, the UUID of Claude's message.
+async function sendMessage(orgId, conversationId, message, options = {}) {
+  const images = options.images || [];
+  const url = `${CLAUDE_API.BASE_URL}${CLAUDE_API.SEND_MESSAGE.replace('{orgId}', orgId).replace('{chatId}', conversationId)}`;
+  console.log("sending message on url", url);
+  
+  // Upload images (the page screenshot) as attachments
+  const attachments = images.map(image => ({
+    file_name: "screenshot.png",
+    file_type: image.mediaType,
+    file_size: Math.ceil(image.data.length * 0.75), // Approximate size in bytes
+    extracted_content: "",
+    file_id: crypto.randomUUID(),
+    media_type: "image",
+    width: 1200, // Default width
+    height: 800, // Default height
+    display_width: 1200,
+    display_height: 800,
+    data: image.dataUrl
+  }));
+  
+  // Send the message to Claude. Failures are retried by the caller, which knows whether any
+  // of the answer has arrived yet.
+  const response = await fetchChecked(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    credentials: 'include',
+    body: JSON.stringify({
+      "prompt": message,
+      "parent_message_uuid": options.parentMessageUuid || ROOT_MESSAGE_UUID,
+      "timezone": "Asia/Calcutta",
+      "personalized_styles": [
+        {
+          "type": "default",
+          "key": "Default",
+          "name": "Normal",
+          "nameKey": "normal_style_name",
+          "prompt": "Normal",
+          "summary": "Default responses from Claude",
+          "summaryKey": "normal_style_summary",
+          "isDefault": true
+        }
+      ],
+      "locale": "en-US",
+      "tools": [],
+      "attachments": attachments,
+      "files": [],
+      "sync_sources": [],
+      "rendering_mode": "messages"
+    }),
+    signal: options.signal
+  }, 'claude.ai', 'send the message');
+  
+  let answer = '';
+  let messageUuid = null;
+  await readEventStream(response, (event) => {
+    const { text, uuid } = parseCompletionEvent(event);
+    if (uuid) {
+      messageUuid = uuid;
+    }
+    if (text) {
+      answer += text;
+      if (options.onChunk) {
+        options.onChunk(answer);
+      }
+    }
+  });
+  
+  return { answer, messageUuid };
+}
+
+// Signal for a claude.ai call other than a completion: it gives up after CLAUDE_API_TIMEOUT,
+// or as soon as the request it is made for is cancelled
+function createCallSignal(signal) {
+  const timeout = AbortSignal.timeout(CLAUDE_API_TIMEOUT);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+// Stop Claude generating a response on claude.ai. Best effort: the request was cancelled
+// already, so failures are only logged.
+function stopResponse(orgId, conversationId) {
+  const url = `${CLAUDE_API.BASE_URL}${CLAUDE_API.STOP_RESPONSE.replace('{orgId}', orgId).replace('{chatId}', conversationId)}`;
+  
+  fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    credentials: 'include',
+    signal: AbortSignal.timeout(CLAUDE_API_TIMEOUT)
+  }).catch(error => {
+    console.error('Error stopping response:', error);
+  });
+}
+
+// Pull the text delta and message UUID (if any) out of a completion stream event.
+// Handles both the legacy `completion` events and the messages-style content block deltas.
+function parseCompletionEvent(event) {
+  let payload;
+  try {
+    payload = JSON.parse(event.data);
+  } catch (error) {
+    return {};
+  }
+  
+  if (payload.type === 'error' || event.event === 'error') {
+    throw createStreamError(payload.error, 'claude.ai');
+  }
+  
+  if (payload.type === 'message_start' && payload.message) {
+    return { uuid: payload.message.uuid };
+  }
+  
+  if (payload.type === 'completion') {
+    return { text: payload.completion || '', uuid: payload.uuid };
+  }
+  
+  if (payload.type === 'content_block_delta' && payload.delta && payload.delta.type === 'text_delta') {
+    return { text: payload.delta.text || '' };
+  }
+  
+  return {};
+}
@@ -0,0 +1,246 @@
+// Errors from the model providers, and retrying the ones that tend to go away by themselves.
+// Each error carries a code the content script and popup can act on, and a message that tells
+// the user what happened and what to do about it.
+
+// Error codes, sent to the content script as errorCode
+const PROVIDER_ERRORS = {
+  NOT_LOGGED_IN: 'not_logged_in',
+  RATE_LIMITED: 'rate_limited',
+  CONVERSATION_CREATE_FAILED: 'conversation_create_failed',
+  NETWORK: 'network',
+  OVERLOADED: 'overloaded',
+  SERVER_ERROR: 'server_error',
+  MODEL_ERROR: 'model_error',
+  UNSUPPORTED_PROVIDER: 'unsupported_provider',
+  REQUEST_FAILED: 'request_failed'
+};
+
+// Retries after the first attempt, and the delay before the first retry; each retry waits
+// twice as long as the one before
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000;
+
+// Rate limits that lift sooner than this are waited out; longer ones are reported
+const MAX_RETRY_DELAY = 20000;
+
+// Create an error with a code from PROVIDER_ERRORS.
+// Details: status (HTTP status), resetsAt (Date a limit lifts), retryAfter (ms), retryable.
+function createProviderError(code, message, details = {}) {
+  const error = new Error(message);
+  error.name = 'ProviderError';
+  error.code = code;
+  error.status = details.status || null;
+  error.resetsAt = details.resetsAt || null;
+  error.retryAfter = details.retryAfter || null;
+  error.retryable = !!details.retryable;
+  return error;
+}
+
+// Fetch a URL and turn failures into provider errors. The service ("claude.ai", "the Anthropic
+// API", ...) and action ("send the message") go into the error messages.
+// Aborts and timeouts are passed on as they are.
+async function fetchChecked(url, init, service, action) {
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      throw error;
+    }
+    throw createNetworkError(service);
+  }
+
+  if (!response.ok) {
+    throw await createHttpError(response, service, action);
+  }
+  return response;
+}
+
+// Fetch a URL like fetchChecked, retrying network problems, overloads, server errors and
+// short rate limits with exponential backoff
+function fetchWithRetry(url, init, service, action) {
+  return withRetry(() => fetchChecked(url, init, service, action), { signal: init.signal });
+}
+
+// Run an operation, running it again when it fails with a retryable error, up to MAX_RETRIES times.
+// Options: signal to stop waiting when the request is aborted, and shouldRetry to veto a retry,
+// e.g. once part of an answer has been streamed.
+async function withRetry(operation, options = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation();
+    } catch (error) {
+      const canRetry = error.retryable && attempt < MAX_RETRIES &&
+                       (!options.shouldRetry || options.shouldRetry(error));
+      if (!canRetry) {
+        throw error;
+      }
+
+      const delay = error.retryAfter || RETRY_BASE_DELAY * 2 ** attempt + Math.random() * 250;
+      console.warn(`Retrying in ${Math.round(delay)}ms after: ${error.message}`);
+      await waitForRetry(delay, options.signal);
+    }
+  }
+}
+
+// Wait before a retry, giving up early if the request is aborted
+function waitForRetry(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const timer = setTimeout(resolve, delay);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+// Create the error for a failed HTTP response, based on its status and error body
+async function createHttpError(response, service, action) {
+  const status = response.status;
+  const body = await readErrorBody(response);
+
+  if (status === 401 || status === 403) {
+    const message = service === 'claude.ai'
+      ? "You're not signed in to claude.ai. Sign in to claude.ai in this browser, then try again."
+      : `${capitalize(service)} rejected the API key. Check it in the extension settings.`;
+    return createProviderError(PROVIDER_ERRORS.NOT_LOGGED_IN, message, { status });
+  }
+
+  if (status === 429 || body.type === 'rate_limit_error') {
+    return createRateLimitError(service, {
+      status,
+      resetsAt: body.resetsAt || readResetHeader(response),
+      retryAfter: readRetryAfterHeader(response)
+    });
+  }
+
+  if (status === 529 || status === 503 || body.type === 'overloaded_error') {
+    return createOverloadedError(service, { status });
+  }
+
+  if (status >= 500) {
+    return createProviderError(PROVIDER_ERRORS.SERVER_ERROR,
+      `${capitalize(service)} had a problem (${status}). Try again in a moment.`,
+      { status, retryable: true });
+  }
+
+  return createProviderError(PROVIDER_ERRORS.REQUEST_FAILED,
+    `Couldn't ${action}: ${status}${body.message ? ` ${body.message}` : ''}`,
+    { status });
+}
+
+// Create the error for an error event in a response stream ({ type, message })
+function createStreamError(streamError, service) {
+  const type = streamError && streamError.type;
+  const message = (streamError && streamError.message) || 'Unknown error';
+
+  if (type === 'overloaded_error') {
+    return createOverloadedError(service);
+  }
+  if (type === 'rate_limit_error') {
+    return createRateLimitError(service, { resetsAt: parseResetsAt(message) });
+  }
+  return createProviderError(PROVIDER_ERRORS.MODEL_ERROR, `${capitalize(service)} returned an error: ${message}`);
+}
+
+// Create the error for a rate limit or usage cap. A limit that lifts within MAX_RETRY_DELAY
+// is retried; longer ones tell the user when they can try again.
+function createRateLimitError(service, details) {
+  const waitTime = details.resetsAt ? details.resetsAt.getTime() - Date.now() : details.retryAfter;
+  const retryable = !!waitTime && waitTime > 0 && waitTime <= MAX_RETRY_DELAY;
+
+  let message;
+  if (details.resetsAt && !retryable) {
+    message = `Usage limit reached, resets at ${formatResetTime(details.resetsAt)}`;
+  } else if (details.retryAfter && !retryable) {
+    message = `Too many requests to ${service}. Try again in ${Math.ceil(details.retryAfter / 60000)} min.`;
+  } else {
+    message = `Too many requests to ${service}. Wait a moment, then try again.`;
+  }
+
+  return createProviderError(PROVIDER_ERRORS.RATE_LIMITED, message, {
+    status: details.status,
+    resetsAt: details.resetsAt,
+    retryAfter: retryable ? waitTime : null,
+    retryable
+  });
+}
+
+// Create the error for a model that is too busy to answer
+function createOverloadedError(service, details = {}) {
+  const name = service === 'claude.ai' || service === 'the Anthropic API' ? 'Claude' : capitalize(service);
+  return createProviderError(PROVIDER_ERRORS.OVERLOADED,
+    `${name} is overloaded right now. Try again in a moment.`,
+    { status: details.status, retryable: true });
+}
+
+// Create the error for a request that never reached the service
+function createNetworkError(service) {
+  const message = navigator.onLine === false
+    ? "You're offline. Check your internet connection and try again."
+    : `Couldn't reach ${service}. Check your connection and try again.`;
+  return createProviderError(PROVIDER_ERRORS.NETWORK, message, { retryable: true });
+}
+
+// Read the type, message and usage-limit reset time out of an error response, if it has them.
+// claude.ai puts the usage limit, as JSON, in the error message.
+async function readErrorBody(response) {
+  try {
+    const body = await response.json();
+    const error = body.error;
+    if (typeof error === 'string') {
+      return { message: error };
+    }
+    if (error) {
+      return { type: error.type, message: error.message || '', resetsAt: parseResetsAt(error.message) };
+    }
+    return { message: body.detail || '' };
+  } catch (error) {
+    return {};
+  }
+}
+
+// Read the reset time from a usage-limit message such as {"type":"exceeded_limit","resetsAt":1718000000}
+function parseResetsAt(message) {
+  try {
+    const limit = JSON.parse(message);
+    return limit && limit.resetsAt ? new Date(limit.resetsAt * 1000) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read the time a limit lifts from the Anthropic API's rate limit headers
+function readResetHeader(response) {
+  const reset = response.headers.get('anthropic-ratelimit-requests-reset') ||
+                response.headers.get('anthropic-ratelimit-tokens-reset');
+  const date = reset ? new Date(reset) : null;
+  return date && !isNaN(date) ? date : null;
+}
+
+// Read the Retry-After header, in seconds, as milliseconds
+function readRetryAfterHeader(response) {
+  const seconds = Number(response.headers.get('retry-after'));
+  return seconds > 0 ? seconds * 1000 : null;
+}
+
+// Format when a limit lifts: the time today, or the day and time after that
+function formatResetTime(date) {
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) {
+    return time;
+  }
+  return `${date.toLocaleDateString([], { weekday: 'long' })} ${time}`;
+}
+
+// Upper-case the first letter, for service names that start a sentence
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
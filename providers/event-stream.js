@@ -0,0 +1,69 @@
+// Server-sent event parsing shared by the streaming providers
+
+// Read a server-sent event stream, calling onEvent with { event, data } for each event
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  while (true) {
+    const { done, value } = await readChunk(reader);
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    
+    // Events are separated by a blank line
+    let match;
+    while ((match = buffer.match(/\r?\n\r?\n/))) {
+      const block = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+      const event = parseEventStreamBlock(block);
+      if (event) {
+        onEvent(event);
+      }
+    }
+    
+    if (done) {
+      break;
+    }
+  }
+  
+  // Flush a trailing event that was not terminated by a blank line
+  const event = parseEventStreamBlock(buffer);
+  if (event) {
+    onEvent(event);
+  }
+}
+
+// Read the next chunk of a stream. A connection that drops mid-answer becomes a network error;
+// aborts and timeouts are passed on as they are.
+async function readChunk(reader) {
+  try {
+    return await reader.read();
+  } catch (error) {
+    if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+      throw error;
+    }
+    throw createProviderError(PROVIDER_ERRORS.NETWORK,
+      'The connection dropped while Claude was answering. Check your connection and try again.',
+      { retryable: true });
+  }
+}
+
+// Parse a single server-sent event block into its event name and data
+function parseEventStreamBlock(block) {
+  let eventName = 'message';
+  const dataLines = [];
+  
+  block.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('event:')) {
+      eventName = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  });
+  
+  if (dataLines.length === 0) {
+    return null;
+  }
+  
+  return { event: eventName, data: dataLines.join('\n') };
+}
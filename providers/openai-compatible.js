@@ -0,0 +1,87 @@
+// OpenAI-compatible provider: talks to any /v1/chat/completions endpoint, such as a local
+// llama.cpp or Ollama server
+
+const OPENAI_COMPATIBLE_DEFAULTS = {
+  BASE_URL: 'http://localhost:11434/v1',
+  MODEL: 'llama3.2',
+  CHAT_COMPLETIONS: '/chat/completions'
+};
+
+// Provider that sends each question as a single chat completion request
+const openAiCompatibleProvider = {
+  id: 'openai-compatible',
+  name: 'OpenAI-compatible / local model',
+  // Takes throwaway requests, such as suggestions while typing
+  supportsEphemeral: true,
+
+  async ask(request, settings) {
+    const baseUrl = (settings.openaiBaseUrl || OPENAI_COMPATIBLE_DEFAULTS.BASE_URL).replace(/\/+$/, '');
+
+    // Many local models can't read images, so screenshots are only sent when enabled
+    let content = request.prompt;
+    if (settings.openaiSendImages && request.images.length > 0) {
+      content = request.images.map(image => ({
+        type: 'image_url',
+        image_url: { url: image.dataUrl }
+      }));
+      content.push({ type: 'text', text: request.prompt });
+    }
+
+    // A follow-up continues the transcript of the earlier conversation
+    const history = request.followUp ? await loadTranscript(request.followUp.conversationId) : [];
+    const messages = [...history, { role: 'user', content }];
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (settings.openaiApiKey) {
+      headers['Authorization'] = `Bearer ${settings.openaiApiKey}`;
+    }
+
+    const response = await fetchWithRetry(`${baseUrl}${OPENAI_COMPATIBLE_DEFAULTS.CHAT_COMPLETIONS}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: settings.openaiModel || OPENAI_COMPATIBLE_DEFAULTS.MODEL,
+        stream: true,
+        messages
+      }),
+      signal: request.signal
+    }, 'the model server', 'send the message');
+
+    let answer = '';
+    await readEventStream(response, (event) => {
+      // The stream ends with a literal [DONE] instead of a JSON payload
+      if (event.data === '[DONE]') {
+        return;
+      }
+
+      const payload = JSON.parse(event.data);
+      if (payload.error) {
+        throw createStreamError(typeof payload.error === 'string' ? { message: payload.error } : payload.error, 'the model server');
+      }
+
+      const choice = payload.choices && payload.choices[0];
+      if (choice && choice.delta && choice.delta.content) {
+        answer += choice.delta.content;
+        if (request.onChunk) {
+          request.onChunk(answer);
+        }
+      }
+    });
+
+    // Throwaway requests, such as ghost-text suggestions, are never followed up
+    if (request.ephemeral) {
+      return { answer, conversationId: null, chatUrl: null, newConversationCreated: false };
+    }
+
+    // Keep the transcript so the answer can be refined with follow-up instructions
+    const conversationId = request.followUp ? request.followUp.conversationId : crypto.randomUUID();
+    await saveTranscript(conversationId, [...messages, { role: 'assistant', content: answer }]);
+
+    return {
+      answer,
+      conversationId,
+      chatUrl: null,
+      newConversationCreated: false
+    };
+  }
+};
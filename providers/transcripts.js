@@ -0,0 +1,36 @@
+// Conversation transcripts for the API providers, which have no server-side conversations.
+// They are kept in session storage so follow-up questions survive the service worker
+// being suspended, and are dropped when the browser closes.
+
+// Number of recent transcripts to keep; older ones can no longer be followed up on
+const MAX_TRANSCRIPTS = 5;
+
+// Load the messages of an earlier conversation
+async function loadTranscript(conversationId) {
+  const { transcripts = {} } = await chrome.storage.session.get(['transcripts']);
+  const transcript = transcripts[conversationId];
+  
+  if (!transcript) {
+    throw new Error('The earlier conversation is no longer available. Ask Claude again from the start.');
+  }
+  
+  return transcript.messages;
+}
+
+// Save the messages of a conversation, dropping the oldest transcripts beyond the limit
+async function saveTranscript(conversationId, messages) {
+  try {
+    const { transcripts = {} } = await chrome.storage.session.get(['transcripts']);
+    transcripts[conversationId] = { messages, updatedAt: Date.now() };
+    
+    Object.keys(transcripts)
+      .sort((a, b) => transcripts[b].updatedAt - transcripts[a].updatedAt)
+      .slice(MAX_TRANSCRIPTS)
+      .forEach(id => delete transcripts[id]);
+    
+    await chrome.storage.session.set({ transcripts });
+  } catch (error) {
+    // Screenshots can push the transcripts over the storage quota; follow-ups just won't be possible
+    console.error('Error saving transcript:', error);
+  }
+}
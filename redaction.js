@@ -0,0 +1,214 @@
+// Redaction of sensitive data before page content leaves the browser, shared by the popup and
+// the content scripts. Text is masked in place; fields are blacked out in screenshots.
+
+// Patterns for sensitive data, in the order they are applied. Card numbers come before phone
+// numbers, which would otherwise match them.
+const REDACTION_RULES = [
+  {
+    label: 'CARD NUMBER',
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    validate: match => isValidLuhn(match.replace(/\D/g, ''))
+  },
+  {
+    label: 'IBAN',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+    validate: match => isValidIban(match)
+  },
+  {
+    label: 'SSN',
+    pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g
+  },
+  {
+    label: 'EMAIL',
+    pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi
+  },
+  {
+    // API keys and tokens with a recognisable prefix, and JSON Web Tokens
+    label: 'TOKEN',
+    pattern: /\b(?:sk-(?:ant-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_\w{22,}|xox[abprs]-[A-Za-z0-9-]{10,}|AKIA[0-9A-Z]{16}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g
+  },
+  {
+    // Values labelled as secrets, e.g. "password: hunter2hunter2"
+    label: 'SECRET',
+    pattern: /(?<=\b(?:api[_ -]?key|secret|token|password|passwd)\s*[:=]\s*)[^\s"',;]{8,}/gi
+  },
+  {
+    label: 'PHONE',
+    pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,4}(?!\w)/g,
+    validate: match => {
+      const digits = match.replace(/\D/g, '');
+      // Dates such as 2024-05-01 look like short phone numbers
+      return digits.length >= 9 && digits.length <= 15 && !/^\d{4}-\d{2}-\d{2}$/.test(match);
+    }
+  }
+];
+
+// Fields that are always blacked out in screenshots
+const SENSITIVE_FIELD_SELECTORS = [
+  'input[type="password"]',
+  '[autocomplete*="cc-"]',
+  'iframe[name^="__privateStripeFrame"]',
+  'iframe[src*="js.stripe.com"]',
+  'iframe[src*="braintreegateway.com"]',
+  'iframe[src*="adyen"]'
+];
+
+// Names, IDs and labels of fields that hold payment details, identity numbers or secrets
+const SENSITIVE_FIELD_NAMES = /card.?num|cc.?num|cvv|cvc|csc|security.?code|expir|iban|ssn|social.?security|tax.?id|routing|account.?num|\bpin\b|password|passcode|secret|token|api.?key/i;
+
+// Extra space blacked out around each field, in CSS pixels
+const REDACTION_MARGIN = 2;
+
+/**
+ * Loads the redaction settings
+ * @returns {Promise<Object>} { enabled, customPatterns }; redaction is on unless turned off
+ */
+async function getRedactionSettings() {
+  const settings = await chrome.storage.sync.get(['redactSensitiveData', 'customRedactionPatterns']);
+  return {
+    enabled: settings.redactSensitiveData !== false,
+    customPatterns: parseRedactionPatterns(settings.customRedactionPatterns || '').patterns
+  };
+}
+
+/**
+ * Parses user-defined redaction patterns
+ * @param {string} text Regular expressions, one per line
+ * @returns {Object} { patterns, invalid }: the compiled patterns and the lines that aren't valid
+ */
+function parseRedactionPatterns(text) {
+  const patterns = [];
+  const invalid = [];
+
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    try {
+      patterns.push(new RegExp(line, 'g'));
+    } catch (error) {
+      invalid.push(line);
+    }
+  });
+
+  return { patterns, invalid };
+}
+
+/**
+ * Masks sensitive data in text
+ * @param {string} text The text
+ * @param {Array<RegExp>} customPatterns User-defined patterns to mask as well
+ * @returns {string} The text with each match replaced by a [REDACTED …] marker
+ */
+function redactSensitiveText(text, customPatterns = []) {
+  let redacted = text || '';
+
+  REDACTION_RULES.forEach(rule => {
+    redacted = redacted.replace(rule.pattern, match =>
+      !rule.validate || rule.validate(match) ? `[REDACTED ${rule.label}]` : match);
+  });
+
+  customPatterns.forEach(pattern => {
+    // Patterns that match the empty string would insert markers everywhere
+    redacted = redacted.replace(pattern, match => match ? '[REDACTED]' : match);
+  });
+
+  return redacted;
+}
+
+/**
+ * Masks sensitive data in text when the redaction settings have it turned on
+ * @param {string} text The text
+ * @param {Object} redaction Redaction settings from getRedactionSettings
+ * @returns {string} The text, masked if redaction is on
+ */
+function applyRedaction(text, redaction) {
+  return redaction.enabled ? redactSensitiveText(text, redaction.customPatterns) : text;
+}
+
+/**
+ * Checks a card number with the Luhn algorithm
+ * @param {string} digits The card number, digits only
+ * @returns {boolean} Whether the checksum is valid
+ */
+function isValidLuhn(digits) {
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Checks an IBAN with the ISO 13616 mod-97 checksum
+ * @param {string} iban The IBAN, with or without spaces
+ * @returns {boolean} Whether the checksum is valid
+ */
+function isValidIban(iban) {
+  const compact = iban.replace(/\s/g, '').toUpperCase();
+  if (compact.length < 15 || compact.length > 34) {
+    return false;
+  }
+
+  // Move the country code and check digits to the end and turn letters into numbers (A = 10)
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  let remainder = 0;
+  for (const character of rearranged) {
+    const value = parseInt(character, 36);
+    remainder = (value > 9 ? remainder * 100 + value : remainder * 10 + value) % 97;
+  }
+
+  return remainder === 1;
+}
+
+/**
+ * Finds the parts of the viewport to black out in a screenshot: password and payment fields,
+ * fields named like they hold identity numbers or secrets, and fields whose value contains
+ * sensitive data
+ * @param {Array<RegExp>} customPatterns User-defined patterns that also mark a value as sensitive
+ * @returns {Array<Object>} Regions as { x, y, width, height } in CSS pixels of the viewport
+ */
+function getSensitiveRegions(customPatterns = []) {
+  const elements = new Set(document.querySelectorAll(SENSITIVE_FIELD_SELECTORS.join(', ')));
+
+  document.querySelectorAll('input, textarea, [contenteditable="true"]').forEach(field => {
+    const description = [
+      field.name,
+      field.id,
+      field.getAttribute('autocomplete'),
+      field.getAttribute('aria-label'),
+      field.getAttribute('placeholder')
+    ].filter(Boolean).join(' ');
+    const value = field.isContentEditable ? field.textContent : field.value;
+
+    if (SENSITIVE_FIELD_NAMES.test(description) || (value && redactSensitiveText(value, customPatterns) !== value)) {
+      elements.add(field);
+    }
+  });
+
+  const regions = [];
+  elements.forEach(element => {
+    const rect = element.getBoundingClientRect();
+    const visible = rect.width > 0 && rect.height > 0 &&
+      rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth;
+    if (visible) {
+      regions.push({
+        x: rect.left - REDACTION_MARGIN,
+        y: rect.top - REDACTION_MARGIN,
+        width: rect.width + REDACTION_MARGIN * 2,
+        height: rect.height + REDACTION_MARGIN * 2
+      });
+    }
+  });
+
+  return regions;
+}
@@ -0,0 +1,126 @@
+// Per-site activation rules, shared by the popup, the background script and the content scripts
+
+// What the extension may do on a site, from most to least
+const SITE_MODES = [
+  { id: 'auto-context', label: 'On, with page context and screenshot' },
+  { id: 'no-screenshot', label: 'On, without screenshot' },
+  { id: 'button', label: 'Button only, without reading the page' },
+  { id: 'off', label: 'Off, nothing runs' }
+];
+
+// Sites without a rule get the full behaviour
+const DEFAULT_SITE_RULE = { mode: 'auto-context', include: '', exclude: '' };
+
+/**
+ * Turns what the user typed as a domain into a bare hostname, e.g. "https://www.Example.com/login"
+ * into "www.example.com" and "*.example.com" into "example.com"
+ * @param {string} input The domain as typed
+ * @returns {string} The hostname, or an empty string if there is none
+ */
+function normalizeSiteDomain(input) {
+  return (input || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/[/?#:].*$/, '')
+    .replace(/^\*\./, '')
+    .replace(/\.$/, '');
+}
+
+/**
+ * Finds the rule that applies to a hostname. A rule for example.com also covers its subdomains,
+ * and the most specific rule wins.
+ * @param {string} hostname The site's hostname
+ * @param {Object} siteRules Rules keyed by domain
+ * @returns {Object} The rule ({ domain, mode, include, exclude }); domain is empty for the default rule
+ */
+function findSiteRule(hostname, siteRules) {
+  const host = normalizeSiteDomain(hostname);
+  const domain = Object.keys(siteRules)
+    .filter(candidate => host === candidate || host.endsWith(`.${candidate}`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return domain ? { ...DEFAULT_SITE_RULE, ...siteRules[domain], domain } : { ...DEFAULT_SITE_RULE, domain: '' };
+}
+
+/**
+ * Builds the match patterns for the sites whose rule turns the extension off, so that the
+ * content scripts are never injected there. A pattern for *.example.com also matches example.com.
+ * @param {Object} siteRules Rules keyed by domain
+ * @returns {Array<string>} Match patterns, for the excludeMatches of a content script
+ */
+function getSiteExcludeMatches(siteRules) {
+  const domains = Object.keys(siteRules);
+
+  return domains
+    .filter(domain => siteRules[domain].mode === 'off')
+    // Anything else would be an invalid pattern, which stops every content script from registering
+    .filter(domain => /^[a-z0-9-]+(?:\.[a-z0-9-]+)*$/.test(domain))
+    .map(domain => {
+      // Subdomains with a rule of their own that turns the extension on can't be left out of
+      // the pattern, so the content script checks them itself
+      const hasEnabledSubdomain = domains.some(other =>
+        other.endsWith(`.${domain}`) && siteRules[other].mode !== 'off');
+      return /^[\d.]+$/.test(domain) || hasEnabledSubdomain ? `*://${domain}/*` : `*://*.${domain}/*`;
+    });
+}
+
+/**
+ * Gets all site rules
+ * @returns {Promise<Object>} Rules keyed by domain
+ */
+async function getSiteRules() {
+  const { siteRules = {} } = await chrome.storage.sync.get(['siteRules']);
+  return siteRules;
+}
+
+/**
+ * Gets the rule for a site
+ * @param {string} hostname The site's hostname
+ * @returns {Promise<Object>} The rule, from findSiteRule
+ */
+async function getSiteRule(hostname) {
+  return findSiteRule(hostname, await getSiteRules());
+}
+
+/**
+ * Saves the rule for a domain, replacing any existing one
+ * @param {string} domain The domain, as returned by normalizeSiteDomain
+ * @param {Object} rule The rule ({ mode, include, exclude })
+ */
+async function saveSiteRule(domain, rule) {
+  const siteRules = await getSiteRules();
+  siteRules[domain] = { mode: rule.mode, include: rule.include, exclude: rule.exclude };
+  await chrome.storage.sync.set({ siteRules });
+}
+
+/**
+ * Deletes the rule for a domain
+ * @param {string} domain The domain
+ */
+async function deleteSiteRule(domain) {
+  const siteRules = await getSiteRules();
+  delete siteRules[domain];
+  await chrome.storage.sync.set({ siteRules });
+}
+
+/**
+ * Checks whether a site rule lets the extension work on a field
+ * @param {Element} element The form field
+ * @param {Object} rule The site's rule
+ * @returns {boolean} Whether the field matches the include selectors (if any) and none of the exclude selectors
+ */
+function isFieldAllowedBySiteRule(element, rule) {
+  try {
+    if (rule.exclude && element.closest(rule.exclude)) {
+      return false;
+    }
+    if (rule.include && !element.closest(rule.include)) {
+      return false;
+    }
+  } catch (error) {
+    // The popup checks selectors when saving, so this only happens with rules synced from elsewhere
+    console.warn('Invalid selector in site rule:', error);
+  }
+  return true;
+}
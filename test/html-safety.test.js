@@ -0,0 +1,197 @@
+// Claude's answers must never put markup that runs code into a page, whichever path they take:
+// HTML pasted into rich editors, plain text in other editable elements, or Airtable cells.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPage, findActiveContent, findActiveHtml } = require('./page');
+
+// HTML that tries to run code when it reaches a page
+const HTML_PAYLOADS = [
+  '<img src=x onerror=alert(1)>',
+  '<img src="x" onerror="alert(1)">',
+  '<svg onload=alert(1)>',
+  '<svg><script>alert(1)</script></svg>',
+  '<svg><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+  '<script>alert(1)</script>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+  '<object data="javascript:alert(1)"></object>',
+  '<embed src="data:text/html,<script>alert(1)</script>">',
+  '<a href="javascript:alert(1)">link</a>',
+  '<a href="JaVaScRiPt:alert(1)">link</a>',
+  '<a href=" javascript:alert(1)">link</a>',
+  '<a href="java\tscript:alert(1)">link</a>',
+  '<a href="&#106;avascript:alert(1)">link</a>',
+  '<a href="&#x6A;&#x61;&#x76;&#x61;&#x73;&#x63;&#x72;&#x69;&#x70;&#x74;&#x3A;alert(1)">link</a>',
+  '<a href="jav&#x09;ascript:alert(1)">link</a>',
+  '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">link</a>',
+  '<a href="vbscript:msgbox(1)">link</a>',
+  '<a href="https://example.com" onclick="alert(1)">link</a>',
+  '<p style="background:url(javascript:alert(1))">text</p>',
+  '<details open ontoggle=alert(1)>x</details>',
+  '<body onload=alert(1)>',
+  '<form action="javascript:alert(1)"><button>go</button></form>',
+  '<button formaction="javascript:alert(1)">go</button>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+  '<!--<img src=x onerror=alert(1)>-->',
+  '<strong><em onmouseover="alert(1)">nested</em></strong>',
+  '<p><img src=x onerror=alert(1)</p>',
+  '<scr<script>ipt>alert(1)</script>'
+];
+
+// Markdown that tries to smuggle markup or dangerous links through the conversion to HTML
+const MARKDOWN_PAYLOADS = [
+  '[click](javascript:alert(1))',
+  '[click](JavaScript:alert(1))',
+  '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+  '[click](https://example.com" onmouseover="alert(1))',
+  "[click](https://example.com' onmouseover='alert(1))",
+  '[<img src=x onerror=alert(1)>](https://example.com)',
+  '[click](https://example.com/?q=<script>alert(1)</script>)',
+  '[click](&#106;avascript:alert(1))',
+  'Text with <img src=x onerror=alert(1)> inline',
+  '**<svg onload=alert(1)>**',
+  '_<a href="javascript:alert(1)">x</a>_',
+  '`<img src=x onerror=alert(1)>`',
+  '# <script>alert(1)</script>',
+  '- <iframe src="javascript:alert(1)"></iframe>',
+  '> <a href="javascript:alert(1)">quoted</a>',
+  '```\n<script>alert(1)</script>\n```',
+  '1. [x](javascript:alert(1))\n2. <img src=x onerror=alert(1)>'
+];
+
+const ALL_PAYLOADS = [...HTML_PAYLOADS, ...MARKDOWN_PAYLOADS];
+
+test('sanitizeHtml removes every active element, event handler and dangerous URL', () => {
+  const window = createPage(['editor-adapters.js']);
+
+  HTML_PAYLOADS.forEach(payload => {
+    assert.deepStrictEqual(findActiveHtml(window.sanitizeHtml(payload)), [], payload);
+  });
+});
+
+test('sanitizeHtml keeps formatting and web links', () => {
+  const window = createPage(['editor-adapters.js']);
+
+  assert.strictEqual(
+    window.sanitizeHtml('<h2 class="x">Title</h2><p>Go <a href="https://example.com/" target="_blank">here</a></p>'),
+    '<h2>Title</h2><p>Go <a href="https://example.com/">here</a></p>'
+  );
+});
+
+test('markdownToHtml escapes markup and only links to web URLs', () => {
+  const window = createPage(['editor-adapters.js']);
+
+  ALL_PAYLOADS.forEach(payload => {
+    const html = window.markdownToHtml(payload);
+    assert.deepStrictEqual(findActiveHtml(html), [], payload);
+    assert.deepStrictEqual(findActiveHtml(window.sanitizeHtml(html)), [], payload);
+  });
+});
+
+test('markdownToHtml turns web links into anchors', () => {
+  const window = createPage(['editor-adapters.js']);
+
+  assert.strictEqual(
+    window.markdownToHtml('See [the docs](https://example.com/docs)'),
+    '<p>See <a href="https://example.com/docs">the docs</a></p>'
+  );
+});
+
+test('insertIntoEditor pastes only sanitized HTML into rich editors', async () => {
+  const window = createPage(['editor-adapters.js']);
+  addClipboardSupport(window);
+  const root = window.document.createElement('div');
+  window.document.body.appendChild(root);
+
+  // An editor that takes the pasted HTML as it is, the way rich editors handle pastes
+  root.addEventListener('paste', event => {
+    event.preventDefault();
+    root.innerHTML = event.clipboardData.getData('text/html') || '';
+  });
+
+  for (const payload of ALL_PAYLOADS) {
+    assert.strictEqual(await window.insertIntoEditor({ name: 'prosemirror', root, rich: true }, payload), true);
+    assert.deepStrictEqual(findActiveContent(root), [], payload);
+  }
+});
+
+test('insertIntoEditor falls back to plain text in contenteditable elements', async () => {
+  const window = createPage(['editor-adapters.js']);
+  addClipboardSupport(window);
+  const root = window.document.createElement('div');
+  root.setAttribute('contenteditable', 'true');
+  window.document.body.appendChild(root);
+
+  // An element that takes neither pastes nor insertText, so the text is set directly
+  window.document.execCommand = () => false;
+
+  for (const rich of [false, true]) {
+    for (const payload of ALL_PAYLOADS) {
+      assert.strictEqual(await window.insertIntoEditor({ name: 'contenteditable', root, rich }, payload), true);
+      assert.strictEqual(root.children.length, 0, payload);
+      assert.strictEqual(root.textContent, payload);
+    }
+  }
+});
+
+test('the Airtable handler inserts answers as plain text', async () => {
+  const window = createPage(['airtable-handler.js'], {
+    url: 'https://airtable.com/app123/tbl456',
+    globals: { getSiteRule: async () => ({ mode: 'auto-context' }) }
+  });
+
+  try {
+    // Let the handler finish reading the site rule and start listening
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const cell = window.document.createElement('div');
+    cell.setAttribute('contenteditable', 'true');
+    const textarea = window.document.createElement('textarea');
+    window.document.body.append(cell, textarea);
+
+    ALL_PAYLOADS.forEach(payload => {
+      [cell, textarea].forEach(element => {
+        window.document.dispatchEvent(new window.CustomEvent('claude-response-ready', {
+          detail: { element, answer: payload }
+        }));
+      });
+
+      assert.strictEqual(cell.children.length, 0, payload);
+      assert.strictEqual(cell.textContent, payload);
+      assert.strictEqual(textarea.value, payload);
+      assert.deepStrictEqual(findActiveContent(window.document.body), [], payload);
+    });
+
+    // Let the handler's mutation observer see the changes before the page goes away
+    await new Promise(resolve => setTimeout(resolve, 0));
+  } finally {
+    // Stops the handler's interval timer
+    window.close();
+  }
+});
+
+// Add DataTransfer and ClipboardEvent, which jsdom doesn't have, for the scripted pastes
+function addClipboardSupport(window) {
+  window.DataTransfer = class DataTransfer {
+    constructor() {
+      this.data = {};
+    }
+
+    setData(type, value) {
+      this.data[type] = value;
+    }
+
+    getData(type) {
+      return this.data[type] || '';
+    }
+  };
+
+  window.ClipboardEvent = class ClipboardEvent extends window.Event {
+    constructor(type, init = {}) {
+      super(type, init);
+      this.clipboardData = init.clipboardData || null;
+    }
+  };
+}
@@ -0,0 +1,73 @@
+// Test helpers: load content scripts into a jsdom page, and look for markup that could run code
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+// Elements that load or run something, and so must never come out of Claude's answers
+const ACTIVE_ELEMENTS = ['SCRIPT', 'IFRAME', 'FRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH', 'IMG', 'STYLE', 'LINK', 'META', 'BASE', 'FORM', 'VIDEO', 'AUDIO', 'SOURCE'];
+
+// Attributes that hold a URL
+const URL_ATTRIBUTES = ['href', 'src', 'srcset', 'srcdoc', 'action', 'formaction', 'xlink:href', 'data', 'poster', 'background'];
+
+// Create a page and run content scripts in it, in order, like the background registers them. They
+// run as scripts in one context, so top-level constants are shared between them as in Chrome.
+// Options: url of the page, and globals to define before the scripts run.
+function createPage(scripts, options = {}) {
+  const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+    url: options.url || 'https://example.com/',
+    runScripts: 'outside-only'
+  });
+  Object.assign(dom.window, options.globals);
+
+  const context = dom.getInternalVMContext();
+  scripts.forEach(script => {
+    const filename = path.join(__dirname, '..', script);
+    new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(context);
+  });
+  return dom.window;
+}
+
+// List what in an element's content could run code: active elements, event handler
+// attributes, inline styles and URLs that aren't web links
+function findActiveContent(root) {
+  const problems = [];
+
+  root.querySelectorAll('*').forEach(element => {
+    if (ACTIVE_ELEMENTS.includes(element.tagName.toUpperCase())) {
+      problems.push(`<${element.tagName.toLowerCase()}> element`);
+    }
+
+    Array.from(element.attributes).forEach(attribute => {
+      const name = attribute.name.toLowerCase();
+      if (name.startsWith('on') || name === 'style') {
+        problems.push(`${name} attribute on <${element.tagName.toLowerCase()}>`);
+      } else if (URL_ATTRIBUTES.includes(name) && !isWebUrl(attribute.value)) {
+        problems.push(`${name}="${attribute.value}" on <${element.tagName.toLowerCase()}>`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+// List what in an HTML string could run code once it is put into a page
+function findActiveHtml(html) {
+  const { document } = new JSDOM('<!DOCTYPE html><body></body>').window;
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return findActiveContent(container);
+}
+
+// Check that a URL is a web link. URLs are parsed the way browsers do, so tabs, newlines and
+// character references can't hide a scheme.
+function isWebUrl(url) {
+  try {
+    return /^https?:$/.test(new URL(url, 'https://example.com/').protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = { createPage, findActiveContent, findActiveHtml };